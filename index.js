@@ -16,9 +16,11 @@ const BitcoinPay = require('./src/wallet-pay-btc.js')
 const FeeEstimate = require('./src/fee-estimate.js')
 const Provider = require('./src/electrum.js')
 const KeyManager = require('./src/wallet-key-btc.js')
+const CoinSelection = require('./src/coin-selection.js')
 module.exports = {
   BitcoinPay,
   FeeEstimate,
   Provider,
-  KeyManager
+  KeyManager,
+  CoinSelection
 }
@@ -45,6 +45,16 @@ class Balance {
     this.txid[state].push([txid, amount])
   }
 
+  removeTxid (state, txid) {
+    this.txid[state] = this.txid[state].filter(([tx, amount]) => {
+      if (tx === txid) {
+        this.minusBalance(state, amount)
+        return false
+      }
+      return true
+    })
+  }
+
   getTx (state, key) {
     return this.txid[state].filter(([tx]) => {
       return tx === key
@@ -234,6 +244,57 @@ class AddressManager {
   getSentTx (txid) {
     return this.outgoings.get(txid)
   }
+
+  removeSentTx (txid) {
+    return this.outgoings.delete(txid)
+  }
+
+  /**
+  * @desc Get all sent transactions
+  * @returns {Promise<Array>} list of sent transactions
+  */
+  async getSentTxList () {
+    const list = []
+    await this.outgoings.entries(async (key, value) => {
+      if (value) list.push(value)
+    })
+    return list
+  }
+
+  /**
+  * @desc Record a replacement of a sent transaction that is not broadcasted yet
+  * @param {String} txid - transaction id of the tx being replaced
+  * @param {String} newTxid - transaction id of the replacement tx. null clears it
+  */
+  async markReplacing (txid, newTxid) {
+    const sent = await this.getSentTx(txid)
+    if (!sent) return
+    sent.replacing = newTxid
+    await this.outgoings.put(txid, sent)
+  }
+
+  /**
+  * @desc Mark a sent transaction as superseded by another transaction, in sent store and history
+  * @param {String} txid - transaction id of the replaced tx
+  * @param {String} newTxid - transaction id of the replacement tx
+  * @param {String} reason - why the tx was replaced
+  */
+  async markReplaced (txid, newTxid, reason) {
+    const sent = await this.getSentTx(txid)
+    if (sent) {
+      sent.replaced_by = newTxid
+      sent.state = reason
+      await this.outgoings.put(txid, sent)
+    }
+
+    const mp = await this.getMempoolTx()
+    if (!mp) return
+    const tx = mp.find((tx) => tx.txid === txid)
+    if (!tx) return
+    tx.replaced_by = newTxid
+    tx.state = reason
+    await this.history.put('i:' + 0, mp)
+  }
 }
 
 module.exports = {
@@ -0,0 +1,102 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const bitcoin = require('bitcoinjs-lib')
+
+// @desc: wallet network names that use the params of another bitcoinjs network
+const NETWORK_ALIAS = {
+  mainnet: 'bitcoin',
+  signet: 'testnet'
+}
+
+/**
+ * @description Validate bitcoin addresses offline. Checks base58 and bech32/bech32m checksum,
+ * that the address is for the wallet network and detects the script type.
+ */
+class AddressValidator {
+  static TYPES = {
+    P2PKH: 'p2pkh',
+    P2SH: 'p2sh',
+    P2WPKH: 'p2wpkh',
+    P2WSH: 'p2wsh',
+    P2TR: 'p2tr'
+  }
+
+  /**
+  * @description validate an address for a network
+  * @param {string} address address to validate
+  * @param {string} network wallet network: bitcoin, mainnet, testnet, signet or regtest
+  * @returns {Object} valid flag, type of address when valid, error when invalid
+  */
+  static validate (address, network) {
+    const params = bitcoin.networks[NETWORK_ALIAS[network] || network]
+    if (!params) throw new Error('Invalid network: ' + network)
+    if (typeof address !== 'string' || !address) return { valid: false, error: 'address must be a string' }
+
+    let type
+    try {
+      type = AddressValidator._base58Type(address, params) || AddressValidator._bech32Type(address, params)
+    } catch (err) {
+      return { valid: false, error: err.message }
+    }
+    return { valid: true, type }
+  }
+
+  /**
+  * @description canonical form of an address, to compare addresses. Bech32 addresses are case insensitive and are lowercased
+  * @param {string} address address to normalise
+  * @returns {string} normalised address
+  */
+  static normalise (address) {
+    if (typeof address !== 'string') return address
+    try {
+      bitcoin.address.fromBech32(address)
+    } catch (err) {
+      return address
+    }
+    return address.toLowerCase()
+  }
+
+  static _base58Type (address, params) {
+    let decoded
+    try {
+      decoded = bitcoin.address.fromBase58Check(address)
+    } catch (err) {
+      return null
+    }
+    if (decoded.version === params.pubKeyHash) return AddressValidator.TYPES.P2PKH
+    if (decoded.version === params.scriptHash) return AddressValidator.TYPES.P2SH
+    throw new Error('address is not for this network')
+  }
+
+  static _bech32Type (address, params) {
+    let decoded
+    try {
+      // Witness v0 must use bech32 and v1+ bech32m checksum
+      decoded = bitcoin.address.fromBech32(address)
+    } catch (err) {
+      throw new Error('invalid address checksum or encoding')
+    }
+    if (decoded.prefix !== params.bech32) throw new Error('address is not for this network')
+
+    const { version, data } = decoded
+    if (version === 0 && data.length === 20) return AddressValidator.TYPES.P2WPKH
+    if (version === 0 && data.length === 32) return AddressValidator.TYPES.P2WSH
+    if (version === 1 && data.length === 32) return AddressValidator.TYPES.P2TR
+    throw new Error('unsupported witness version ' + version + ' or program length ' + data.length)
+  }
+}
+
+module.exports = AddressValidator
@@ -0,0 +1,212 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// @desc: virtual size in vbytes of p2wpkh transaction parts
+const INPUT_VSIZE = 68
+const OUTPUT_VSIZE = 31
+const TX_VSIZE = 11
+// @desc: max number of branches to explore in branch and bound search
+const BNB_MAX_TRIES = 100000
+
+/**
+ * @description Accumulate candidates in order until their effective value reaches the target
+ * @param {Array} pool candidates
+ * @param {number} target target effective value in sats
+ * @returns {Array|null} selected candidates or null if pool can't reach target
+ */
+function accumulate (pool, target) {
+  const selected = []
+  let total = 0
+  for (const c of pool) {
+    selected.push(c)
+    total += c.effective
+    if (total >= target) return selected
+  }
+  return null
+}
+
+/**
+ * @description Depth first search for a set of candidates with effective value between target and target + change cost.
+ * Spending this set does not need a change output.
+ * @returns {Array|null} selected candidates or null if no changeless solution is found
+ */
+function branchAndBound (pool, target, changeCost) {
+  pool = [...pool].sort((a, b) => b.effective - a.effective)
+  const remaining = []
+  pool.reduceRight((sum, c, i) => {
+    remaining[i] = sum + c.effective
+    return remaining[i]
+  }, 0)
+
+  let tries = 0
+  let best = null
+  let bestWaste = Infinity
+  const selected = []
+
+  const search = (index, total) => {
+    if (tries++ > BNB_MAX_TRIES) return
+    if (total > target + changeCost) return
+    if (total >= target) {
+      const waste = total - target
+      if (waste < bestWaste) {
+        bestWaste = waste
+        best = [...selected]
+      }
+      return
+    }
+    if (index >= pool.length || total + remaining[index] < target) return
+    selected.push(pool[index])
+    search(index + 1, total + pool[index].effective)
+    selected.pop()
+    search(index + 1, total)
+  }
+  search(0, 0)
+  return best
+}
+
+/**
+ * @description Group candidates by the address that received them
+ * @returns {Array} groups with candidates and total effective value
+ */
+function groupByAddress (pool) {
+  const groups = new Map()
+  pool.forEach((c) => {
+    const key = c.utxo.address_path || c.utxo.address
+    if (!groups.has(key)) groups.set(key, { candidates: [], effective: 0 })
+    const group = groups.get(key)
+    group.candidates.push(c)
+    group.effective += c.effective
+  })
+  return [...groups.values()]
+}
+
+function shuffle (pool) {
+  pool = [...pool]
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    const tmp = pool[i]
+    pool[i] = pool[j]
+    pool[j] = tmp
+  }
+  return pool
+}
+
+/**
+ * @description Coin selection strategies for choosing utxo that pay for a transaction.
+ * Strategies select by effective value: utxo value minus the fee cost of spending it at the target fee rate.
+ * A strategy is called with list of candidates and selection targets, and returns selected candidates or null.
+ */
+class CoinSelection {
+  static DEFAULT = 'small-to-large'
+  static INPUT_VSIZE = INPUT_VSIZE
+
+  static strategies = {
+    'small-to-large': (pool, { targetWithChange }) => {
+      return accumulate([...pool].sort((a, b) => a.value - b.value), targetWithChange)
+    },
+    'largest-first': (pool, { targetWithChange }) => {
+      return accumulate([...pool].sort((a, b) => b.value - a.value), targetWithChange)
+    },
+    'oldest-first': (pool, { targetWithChange }) => {
+      // Mempool utxo have height 0, they are the newest
+      const height = (c) => c.utxo.tx_height || Infinity
+      return accumulate([...pool].sort((a, b) => height(a) - height(b)), targetWithChange)
+    },
+    'single-random-draw': (pool, { targetWithChange }) => {
+      return accumulate(shuffle(pool), targetWithChange)
+    },
+    'branch-and-bound': (pool, opts) => {
+      // Fallback to a selection with change when there is no changeless solution
+      return branchAndBound(pool, opts.target, opts.changeCost) || CoinSelection.strategies['largest-first'](pool, opts)
+    },
+    privacy: (pool, { targetWithChange }) => {
+      // Utxo of an address in the pool are spent together. Prefer the smallest address that pays alone,
+      // otherwise link as few addresses as possible.
+      // Utxo that are not in the pool are left on the address and link it again when they are spent later:
+      // utxo that cost more fee than their value, and dust, frozen or unconfirmed utxo that are not spendable.
+      const groups = groupByAddress(pool)
+      const single = groups.filter((g) => g.effective >= targetWithChange).sort((a, b) => a.effective - b.effective)[0]
+      if (single) return single.candidates
+      const selected = accumulate(groups.sort((a, b) => b.effective - a.effective), targetWithChange)
+      return selected && selected.flatMap((g) => g.candidates)
+    }
+  }
+
+  /**
+  * @description register a coin selection strategy
+  * @param {string} name name of strategy
+  * @param {function} fn strategy function
+  */
+  static register (name, fn) {
+    if (typeof fn !== 'function') throw new Error('Coin selection strategy must be a function')
+    CoinSelection.strategies[name] = fn
+  }
+
+  static has (name) {
+    return !!CoinSelection.strategies[name]
+  }
+
+  /**
+  * @description estimated vsize of a segwit transaction without change output
+  * @param {number} inputs number of inputs
+  * @param {number} outputs number of outputs
+  */
+  static txVsize (inputs, outputs) {
+    return TX_VSIZE + INPUT_VSIZE * inputs + OUTPUT_VSIZE * outputs
+  }
+
+  /**
+  * @description fee of creating a change output and spending it later. Leftover below this is not worth a change output
+  * @param {number} feeRate fee rate in sats per vbyte
+  */
+  static changeCost (feeRate) {
+    return feeRate * (OUTPUT_VSIZE + INPUT_VSIZE)
+  }
+
+  /**
+  * @description select utxo that pay for amount and fee
+  * @param {string} name name of strategy
+  * @param {Array} utxo candidate utxo, values must be Bitcoin instances
+  * @param {number} amount amount to pay in sats
+  * @param {Object} opts options
+  * @param {number} [opts.feeRate=0] fee rate in sats per vbyte
+  * @param {number} [opts.outputs=1] number of outputs without change
+  * @returns {Array|null} selected utxo or null if there is not enough funds
+  */
+  static select (name, utxo, amount, opts = {}) {
+    const strategy = CoinSelection.strategies[name || CoinSelection.DEFAULT]
+    if (!strategy) throw new Error('Unknown coin selection strategy: ' + name)
+    const feeRate = opts.feeRate || 0
+    const outputs = opts.outputs || 1
+
+    const pool = utxo.map((u) => {
+      const value = +u.value.toBaseUnit()
+      return { utxo: u, value, effective: value - feeRate * INPUT_VSIZE }
+    }).filter((c) => c.effective > 0)
+
+    const target = amount + feeRate * CoinSelection.txVsize(0, outputs)
+    const selected = strategy(pool, {
+      target,
+      targetWithChange: target + feeRate * OUTPUT_VSIZE,
+      changeCost: CoinSelection.changeCost(feeRate),
+      feeRate
+    })
+    if (!selected) return null
+    return selected.map((c) => c.utxo)
+  }
+}
+
+module.exports = CoinSelection
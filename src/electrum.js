@@ -14,6 +14,7 @@
 
 'use strict'
 const { EventEmitter } = require('events')
+const bitcoin = require('bitcoinjs-lib')
 const Bitcoin = require('./currency')
 
 // TODO: handle unsupported electrum RPC methods
@@ -261,6 +262,22 @@ class Electrum extends EventEmitter {
     return this._makeRequest('blockchain.scripthash.get_balance', [scriptHash])
   }
 
+  /**
+  * @description get unspent outputs of a script hash, including mempool
+  * @param {string} scriptHash script hash
+  * @returns {Promise<Array>} list of tx_hash, tx_pos, height and value in sats
+  */
+  async getUnspent (scriptHash) {
+    return await this._makeRequest('blockchain.scripthash.listunspent', [scriptHash]) || []
+  }
+
+  /**
+  * @description get raw transaction hex
+  */
+  getRawTransaction (txid) {
+    return this._makeRequest('blockchain.transaction.get', [txid])
+  }
+
   async broadcastTransaction (tx) {
     return this._makeRequest('blockchain.transaction.broadcast', [tx])
   }
@@ -313,23 +330,31 @@ class Electrum extends EventEmitter {
       out: [],
       in: [],
       unconfirmed_inputs: [],
+      data_out: [],
       std_out: [],
       std_in: []
     }
 
     const tx = await this._txGet(txid, opts)
     data.height = tx.height
+    data.vsize = tx.vsize
+
+    // @desc: outputs of coinbase tx can only be spent after they mature
+    data.coinbase = tx.vin.some((vin) => vin.coinbase)
 
     let totalOut = new Bitcoin(0, 'main')
     data.out = tx.vout.map((vout) => {
       const newvout = this._processTxVout(vout, tx)
       if (!newvout || !newvout.address) {
         data.std_out.push(false)
+        const opReturn = this._getOpReturn(vout.scriptPubKey)
+        if (opReturn) data.data_out.push({ index: vout.n, data: opReturn })
         return null
       }
       data.std_out.push(true)
       totalOut = totalOut.add(newvout.value)
       newvout.tx_height = tx.height
+      if (data.coinbase) newvout.coinbase = true
       return newvout
     }).filter(Boolean)
 
@@ -375,6 +400,23 @@ class Electrum extends EventEmitter {
     return null
   }
 
+  /**
+  * @description get data of an OP_RETURN output
+  * @param {Object} scriptPubKey output script
+  * @returns {string|null} data in hex
+  */
+  _getOpReturn (scriptPubKey) {
+    if (!scriptPubKey?.hex) return null
+    let chunks
+    try {
+      chunks = bitcoin.script.decompile(Buffer.from(scriptPubKey.hex, 'hex'))
+    } catch (err) {
+      return null
+    }
+    if (!chunks || chunks[0] !== bitcoin.opcodes.OP_RETURN) return null
+    return Buffer.concat(chunks.slice(1).filter(Buffer.isBuffer)).toString('hex')
+  }
+
   async subscribeToBlocks () {
     const height = await this._makeRequest('blockchain.headers.subscribe', [])
     this.block_height = height.height
@@ -58,6 +58,7 @@ class MempoolSpace {
           return resolve(data)
         })
       })
+      req.on('error', (err) => reject(new Error('Failed to get fee estimate: ' + err.message)))
       req.end()
     })
   }
@@ -0,0 +1,114 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const Bitcoin = require('./currency.js')
+
+const SCHEME = 'bitcoin:'
+// @desc: BIP21 amount is a decimal number in BTC
+const AMOUNT_FORMAT = /^\d+(\.\d{1,8})?$/
+// @desc: parameters that have a meaning in BIP21
+const KNOWN_PARAMS = ['amount', 'label', 'message']
+
+/**
+ * @description Parse and create BIP21 payment URIs. example: bitcoin:bc1q...?amount=0.01&label=Shop
+ */
+class PaymentUri {
+  /**
+  * @description check if a string is a bitcoin: URI
+  * @param {string} str
+  */
+  static isUri (str) {
+    return typeof str === 'string' && str.slice(0, SCHEME.length).toLowerCase() === SCHEME
+  }
+
+  /**
+  * @description parse a BIP21 URI. Unknown parameters starting with req- are rejected.
+  * @param {string} uri bitcoin: URI
+  * @returns {Object} address, amount as Bitcoin, label, message and other params
+  */
+  static parse (uri) {
+    if (!PaymentUri.isUri(uri)) throw new Error('Invalid payment uri: must start with ' + SCHEME)
+    const body = uri.slice(SCHEME.length)
+    const queryIndex = body.indexOf('?')
+    const address = decodeURIComponent(queryIndex < 0 ? body : body.slice(0, queryIndex))
+    if (!address) throw new Error('Invalid payment uri: missing address')
+
+    const res = { address, params: {} }
+    for (const [key, value] of PaymentUri._query(queryIndex < 0 ? '' : body.slice(queryIndex + 1))) {
+      if (Object.hasOwn(res.params, key) || (KNOWN_PARAMS.includes(key) && Object.hasOwn(res, key))) {
+        throw new Error('Invalid payment uri: duplicate parameter ' + key)
+      }
+      if (key === 'amount') {
+        res.amount = PaymentUri._parseAmount(value)
+      } else if (KNOWN_PARAMS.includes(key)) {
+        res[key] = value
+      } else if (key.startsWith('req-')) {
+        throw new Error('Unsupported required parameter in payment uri: ' + key)
+      } else {
+        res.params[key] = value
+      }
+    }
+    return res
+  }
+
+  /**
+  * @description split query into decoded key and value pairs.
+  * BIP21 uses URI percent encoding, + is not a space like in form encoding
+  */
+  static _query (query) {
+    return query.split('&').filter(Boolean).map((param) => {
+      const index = param.indexOf('=')
+      try {
+        if (index < 0) return [decodeURIComponent(param), '']
+        return [decodeURIComponent(param.slice(0, index)), decodeURIComponent(param.slice(index + 1))]
+      } catch (err) {
+        throw new Error('Invalid payment uri: malformed parameter ' + param)
+      }
+    })
+  }
+
+  static _parseAmount (value) {
+    if (!AMOUNT_FORMAT.test(value)) throw new Error('Invalid payment uri amount: ' + value)
+    const amount = new Bitcoin(value, 'main')
+    if (+amount.toBaseUnit() <= 0) throw new Error('Invalid payment uri amount: ' + value)
+    return amount
+  }
+
+  /**
+  * @description create a BIP21 URI
+  * @param {Object} opts
+  * @param {string} opts.address bitcoin address
+  * @param {number|string} [opts.amount] amount to request
+  * @param {string} [opts.unit=main] unit of amount: main or base
+  * @param {string} [opts.label] label for the address, like name of the receiver
+  * @param {string} [opts.message] message that describes the payment
+  * @returns {string} bitcoin: URI
+  */
+  static create ({ address, amount, unit = 'main', label, message }) {
+    if (!address) throw new Error('Address is required for payment uri')
+    const query = []
+    if (amount != null) {
+      const btc = new Bitcoin(amount, unit)
+      if (+btc.toBaseUnit() <= 0) throw new Error('Invalid payment uri amount: ' + amount)
+      // Fixed notation, small amounts must not be written as exponent
+      query.push('amount=' + Bitcoin.BN(btc.toMainUnit()).toFixed())
+    }
+    if (label) query.push('label=' + encodeURIComponent(label))
+    if (message) query.push('message=' + encodeURIComponent(message))
+    return SCHEME + address + (query.length ? '?' + query.join('&') : '')
+  }
+}
+
+module.exports = PaymentUri
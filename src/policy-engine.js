@@ -0,0 +1,160 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const TxTracker = require('./tx-tracker.js')
+const AddressValidator = require('./address-validator.js')
+
+// @desc: window of the rolling daily limit in ms
+const DAY = 24 * 60 * 60 * 1000
+// @desc: default max time in ms of the approval hook. It runs while utxo are reserved and other sends wait
+const APPROVE_TIMEOUT = 60 * 1000
+
+/**
+ * @description rules that are enabled from policy config. A rule returns the reason a transaction is rejected, or nothing when it passes.
+ * Amounts are in sats.
+ */
+const RULES = {
+  maxAmount: (limit) => (tx) => {
+    if (tx.totalSpent > limit) return 'amount ' + tx.totalSpent + ' is above per transaction limit ' + limit
+  },
+
+  dailyLimit: (limit) => async (tx, engine) => {
+    const spent = await engine.spentToday(tx.replaces)
+    if (spent + tx.totalSpent > limit) return 'amount ' + tx.totalSpent + ' is above remaining daily limit ' + Math.max(limit - spent, 0)
+  },
+
+  // Addresses are compared in normalised form, an upper case bech32 address matches its lower case form
+  allow: (list) => {
+    list = list.map(AddressValidator.normalise)
+    return (tx) => {
+      const address = tx.recipients.find((r) => !list.includes(AddressValidator.normalise(r.address)))?.address
+      if (address) return 'destination is not in allow list: ' + address
+    }
+  },
+
+  deny: (list) => {
+    list = list.map(AddressValidator.normalise)
+    return (tx) => {
+      const address = tx.recipients.find((r) => list.includes(AddressValidator.normalise(r.address)))?.address
+      if (address) return 'destination is in deny list: ' + address
+    }
+  },
+
+  maxFeeRatio: (ratio) => (tx) => {
+    const paid = tx.totalFee / tx.deliveredAmount
+    if (paid > ratio) return 'fee ' + tx.totalFee + ' is ' + paid.toFixed(4) + ' of amount, above max ratio ' + ratio
+  }
+}
+
+/**
+ * @description Spending policy that outgoing payments pass through before they are broadcasted.
+ * Enforces per transaction and rolling daily limits, destination allow and deny lists, max fee to amount ratio
+ * and an async approval hook. Custom rules can be added with addRule.
+ */
+class PolicyEngine {
+  static APPROVE_TIMEOUT = APPROVE_TIMEOUT
+
+  /**
+  * @param {Object} config policy config
+  * @param {number} [config.maxAmount] max amount that a transaction spends, including fee, in sats
+  * @param {number} [config.dailyLimit] max amount that is spent in the last 24 hours, including fees, in sats
+  * @param {Array<string>} [config.allow] only these addresses can be paid
+  * @param {Array<string>} [config.deny] these addresses can never be paid
+  * @param {number} [config.maxFeeRatio] max total fee divided by amount delivered to recipients. example: 0.1
+  * @param {function} [config.approve] async function that is called with the transaction. Transaction is rejected unless it resolves true
+  * @param {number} [config.approveTimeout=60000] time in ms before the approval hook fails and the transaction is rejected
+  * @param {Object} [config.rules] custom rules. { name: async (tx, engine) => reason }
+  * @param {function} config.getSentTxList function that returns sent transactions
+  */
+  constructor (config = {}) {
+    this._getSentTxList = config.getSentTxList
+    this._approve = config.approve || null
+    this._approveTimeout = config.approveTimeout ?? APPROVE_TIMEOUT
+    this._rules = []
+
+    for (const [name, rule] of Object.entries(RULES)) {
+      if (config[name] == null) continue
+      this._validate(name, config[name])
+      this.addRule(name, rule(config[name]))
+    }
+    for (const [name, fn] of Object.entries(config.rules || {})) {
+      this.addRule(name, fn)
+    }
+    if (this._approve && typeof this._approve !== 'function') throw new Error('Policy approve must be a function')
+    if (typeof this._approveTimeout !== 'number' || this._approveTimeout <= 0) throw new Error('Invalid policy approveTimeout: ' + this._approveTimeout)
+  }
+
+  _validate (name, value) {
+    if (['allow', 'deny'].includes(name)) {
+      if (!Array.isArray(value)) throw new Error('Policy ' + name + ' must be a list of addresses')
+      return
+    }
+    if (typeof value !== 'number' || value < 0) throw new Error('Invalid policy ' + name + ': ' + value)
+  }
+
+  /**
+  * @description add a rule to the policy
+  * @param {string} name name of rule, used in rejection errors
+  * @param {function} fn async function that is called with the transaction and the engine. Returns reason to reject or nothing to pass
+  */
+  addRule (name, fn) {
+    if (typeof fn !== 'function') throw new Error('Policy rule must be a function')
+    this._rules.push({ name, fn })
+  }
+
+  /**
+  * @description check a transaction against all rules and the approval hook
+  * @param {Object} tx signed transaction with recipients, totalSpent, totalFee and deliveredAmount
+  * @throws {Error} when a rule rejects the transaction or it is not approved
+  */
+  async check (tx) {
+    for (const { name, fn } of this._rules) {
+      const reason = await fn(tx, this)
+      if (reason) throw new Error('Rejected by spending policy ' + name + ': ' + reason)
+    }
+
+    if (!this._approve) return
+    let approved, timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('timed out after ' + this._approveTimeout + ' ms')), this._approveTimeout)
+    })
+    try {
+      approved = await Promise.race([this._approve(tx), timeout])
+    } catch (err) {
+      throw new Error('Transaction approval failed: ' + err.message)
+    } finally {
+      clearTimeout(timer)
+    }
+    if (approved !== true) throw new Error('Transaction was not approved')
+  }
+
+  /**
+  * @description total spent by transactions that passed the policy in the last 24 hours.
+  * Dropped and replaced transactions are not counted.
+  * @param {string} [exclude] txid that is not counted, the transaction being replaced
+  * @returns {Promise<number>} amount in sats
+  */
+  async spentToday (exclude) {
+    const since = Date.now() - DAY
+    const list = await this._getSentTxList()
+    return list.reduce((total, sent) => {
+      if (!sent.policy_checked || sent.txid === exclude || sent.replaced_by) return total
+      if (sent.status === TxTracker.STATES.DROPPED || sent.status_history?.[0]?.ts < since) return total
+      return total + sent.totalSpent
+    }, 0)
+  }
+}
+
+module.exports = PolicyEngine
@@ -0,0 +1,101 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+/**
+ * @description Queue that runs send tasks one at a time, in the order they are added.
+ * Building a transaction selects and reserves utxo, so only one transaction can be built at a time.
+ */
+class SendQueue {
+  constructor () {
+    this._tasks = []
+    this._running = null
+    this._id = 0
+  }
+
+  /**
+  * @description number of tasks that are waiting or running
+  */
+  get length () {
+    return this._tasks.length + (this._running ? 1 : 0)
+  }
+
+  /**
+  * @description add a task to the queue
+  * @param {function} fn async function that is called when it is the task's turn
+  * @returns {Promise} resolves with result of task. Has id, position() and cancel()
+  */
+  push (fn) {
+    const task = { id: ++this._id, fn }
+    const p = new Promise((resolve, reject) => {
+      task.resolve = resolve
+      task.reject = reject
+    })
+    p.id = task.id
+    p.position = () => this.position(task.id)
+    p.cancel = () => this.cancel(task.id)
+    this._tasks.push(task)
+    this._next()
+    return p
+  }
+
+  /**
+  * @description position of a task in queue. 0 is running, -1 is done or cancelled
+  * @param {number} id task id
+  */
+  position (id) {
+    if (this._running?.id === id) return 0
+    const index = this._tasks.findIndex((t) => t.id === id)
+    return index === -1 ? -1 : index + 1
+  }
+
+  /**
+  * @description cancel a waiting task. A running task can't be cancelled
+  * @param {number} id task id
+  * @returns {boolean} true if task was cancelled
+  */
+  cancel (id) {
+    const index = this._tasks.findIndex((t) => t.id === id)
+    if (index === -1) return false
+    const [task] = this._tasks.splice(index, 1)
+    task.reject(new Error('Send cancelled'))
+    return true
+  }
+
+  /**
+  * @description cancel all waiting tasks
+  */
+  clear () {
+    const tasks = this._tasks
+    this._tasks = []
+    tasks.forEach((task) => task.reject(new Error('Send cancelled')))
+  }
+
+  async _next () {
+    if (this._running || this._tasks.length === 0) return
+    const task = this._tasks.shift()
+    this._running = task
+    try {
+      task.resolve(await task.fn())
+    } catch (err) {
+      task.reject(err)
+    } finally {
+      this._running = null
+      this._next()
+    }
+  }
+}
+
+module.exports = SendQueue
@@ -19,8 +19,13 @@ const UnspentStore = require('./unspent-store.js')
 const { AddressManager } = require('./address-manager.js')
 const AddressWatch = require('./address-watch.js')
 const TotalBalance = require('./total-balance.js')
+const TxTracker = require('./tx-tracker.js')
 
 const P2WPKH = 'p2wpkh'
+// @desc: incoming outputs below this value in sats are dust, they are not spent unless opted in
+const DUST_THRESHOLD = 1000
+// @desc: broadcast errors of a tx whose inputs are spent by another tx
+const INPUTS_SPENT = /missingorspent|mempool-conflict|already spent/i
 
 /**
  * Class that manages syncing local state with electrum/blockchain.
@@ -39,6 +44,12 @@ class SyncManager extends EventEmitter {
     this.minBlockConfirm = config.minBlockConfirm
     this.store = config.store
     this._addressType = config.addressType
+    this._reservationTimeout = config.reservationTimeout
+    this._dustThreshold = config.dustThreshold ?? DUST_THRESHOLD
+    this._spendUnconfirmed = config.spendUnconfirmed || UnspentStore.SPEND_UNCONFIRMED.ANY
+    this._validateSpendUnconfirmed(this._spendUnconfirmed)
+    this._rebroadcastInterval = config.rebroadcastInterval
+    this._trackConfirmations = config.trackConfirmations
 
     // @desc: halt syncing
     this._halt = false
@@ -71,13 +82,29 @@ class SyncManager extends EventEmitter {
     this._addr = new AddressManager({ store: this.store })
     await this._addr.init()
     // @desc: Unspent store manages state VIN/VOUT for spending btc
-    this._unspent = new UnspentStore({ store: this.store })
+    this._unspent = new UnspentStore({
+      store: this.store,
+      reservationTimeout: this._reservationTimeout,
+      getBlockHeight: () => this.currentBlock?.current || 0
+    })
     await this._unspent.init()
     // @desc: manage total balance of wallet
     this._totalBal = new TotalBalance({
-      state: this.state
+      state: this.state,
+      getBlockHeight: () => this.currentBlock?.current || 0
     })
     await this._totalBal.init()
+    // @desc: track state of sent transactions and rebroadcast dropped ones
+    this._tracker = new TxTracker({
+      addressManager: this._addr,
+      provider: this.provider,
+      getBlockHeight: () => this.currentBlock?.current || 0,
+      checkInterval: this._rebroadcastInterval,
+      trackConfirmations: this._trackConfirmations,
+      onDropped: (sent) => this._rollbackDroppedTx(sent)
+    })
+    this._tracker.on('tx-state', (data) => this.emit('tx-state', data))
+    this._tracker.start()
     this._ready = true
   }
 
@@ -91,18 +118,100 @@ class SyncManager extends EventEmitter {
 
   async close () {
     this.stopSync()
+    this._tracker && this._tracker.stop()
     this._addr && await this._addr.close()
     this._unspent && await this._unspent.close()
   }
 
-  addSentTx (tx) {
+  async addSentTx (tx) {
+    tx.status = TxTracker.STATES.CREATED
+    tx.status_history = [{ state: tx.status, ts: Date.now() }]
     return this._addr.addSentTx(tx)
   }
 
+  /**
+  * @description record result of broadcasting a sent transaction
+  * @param {string} txid transaction id
+  * @param {Error} [err] broadcast error
+  */
+  sentTxBroadcast (txid, err) {
+    return this._tracker.onBroadcast(txid, err)
+  }
+
   getSentTx (txid) {
     return this._addr.getSentTx(txid)
   }
 
+  /**
+  * @description remove a sent transaction that was never broadcasted
+  * @param {string} txid transaction id
+  */
+  removeSentTx (txid) {
+    return this._addr.removeSentTx(txid)
+  }
+
+  getSentTxList () {
+    return this._addr.getSentTxList()
+  }
+
+  /**
+  * @description record a replacement of a sent transaction that is being broadcasted
+  * @param {string} txid original sent transaction id
+  * @param {string} newTxid replacement transaction id. null clears it
+  */
+  setReplacing (txid, newTxid) {
+    return this._addr.markReplacing(txid, newTxid)
+  }
+
+  /**
+  * @description mark a sent transaction as superseded by a replacement transaction,
+  * move its utxo locks to the replacement and remove the mempool balance of its outputs.
+  * @param {string} txid original sent transaction id
+  * @param {Object} tx replacement transaction
+  * @param {string} reason reason the tx was replaced. example: replaced, cancelled
+  */
+  async replaceSentTx (txid, tx, reason) {
+    await this._rollbackMempoolTx(txid)
+    await this._addr.markReplaced(txid, tx.txid, reason)
+    await this._unspent.supersede(txid, tx.utxo)
+    await this._tracker.setState(txid, TxTracker.STATES.REPLACED, { replaced_by: tx.txid, reason })
+  }
+
+  /**
+  * @description remove balance of outputs created by a mempool tx that will never confirm.
+  * Inputs are not touched by default, as they are spent by the replacement transaction.
+  * @param {string} txid transaction id
+  * @param {Object} [opts] options
+  * @param {boolean} [opts.inputs=false] also remove balance of inputs spent by the tx
+  */
+  async _rollbackMempoolTx (txid, { inputs = false } = {}) {
+    const { _addr, _totalBal } = this
+    const mp = await _addr.getMempoolTx() || []
+    const tx = mp.find((tx) => tx.txid === txid)
+    if (!tx || tx.replaced_by) return
+
+    const points = tx.out.map((utxo) => ['out', utxo.address, utxo.txid + ':' + utxo.index])
+    if (inputs) tx.in.forEach((utxo) => points.push(['in', utxo.address, utxo.prev_txid + ':' + utxo.prev_index]))
+    for (const [inout, address, point] of points) {
+      const bal = await _addr.get(address)
+      if (!bal || !bal[inout].getTx('mempool', point)) continue
+      bal[inout].removeTxid('mempool', point)
+      await _addr.set(address, bal)
+      await _totalBal.removeTxId(inout, 'mempool', point)
+    }
+  }
+
+  /**
+  * @description roll back a sent tx that was dropped and will never confirm.
+  * Its outputs are removed. Its inputs are given back, unless they are spent by another tx or are not wallet utxo (sweep).
+  * @param {Object} sent dropped sent transaction
+  */
+  async _rollbackDroppedTx (sent) {
+    const restore = !sent.sweep && !INPUTS_SPENT.test(sent.error || '')
+    await this._rollbackMempoolTx(sent.txid, { inputs: restore })
+    await this._unspent.restoreDropped(sent.txid, restore ? sent.utxo || [] : [])
+  }
+
   async _updateScriptHashBalance (changeHash) {
     const { provider, _addrWatch } = this
     const { extlist, inlist } = await _addrWatch.getWatchedAddress()
@@ -151,7 +260,7 @@ class SyncManager extends EventEmitter {
   }
 
   /**
-   * @desc emit event for a txid when found in mempool
+   * @desc emit event for a txid when found in mempool or in a block
    *
   **/
   watchTxMempool (txid) {
@@ -164,7 +273,8 @@ class SyncManager extends EventEmitter {
    **/
   _emitTxEvent (tx) {
     const index = this._tx_events.indexOf(tx.txid)
-    if ((tx.height === 0) && index >= 0) {
+    // Tx can be seen for the first time already confirmed
+    if (index >= 0) {
       this._tx_events.splice(index, 1)
       this.emit('tx:mempool:' + tx.txid, tx)
     }
@@ -185,6 +295,8 @@ class SyncManager extends EventEmitter {
       arr = arr.concat(z)
     }
 
+    this._tracker.check().catch((err) => console.log('failed to check sent transactions', err))
+
     if (arr.length === 0) return
 
     let newTx
@@ -217,7 +329,7 @@ class SyncManager extends EventEmitter {
 
     txHistory = await Promise.all(txHistory.map(async (tx) => {
       const txState = this._getTxState(tx)
-      await this._processUtxo(tx.out, 'out', txState, tx.fee, path)
+      await this._processUtxo(tx.out, 'out', txState, tx.fee, path, tx.in)
       await this._processUtxo(tx.in, 'in', txState, 0, path)
       if (tx.height === 0 && !tx.mempool_first_seen) {
         tx.mempool_ts = Date.now()
@@ -227,9 +339,10 @@ class SyncManager extends EventEmitter {
 
     await _addr.storeTxHistory(txHistory)
 
-    txHistory.forEach((tx) => {
+    for (const tx of txHistory) {
+      await this._tracker.onHistoryTx(tx)
       this._emitTxEvent(tx)
-    })
+    }
   }
 
   /**
@@ -297,12 +410,57 @@ class SyncManager extends EventEmitter {
   * @return {Promise}
   **/
   async getBalance (addr) {
+    let balance
     if (!addr) {
-      return this._totalBal.getSpendableBalance()
+      balance = this._totalBal.getSpendableBalance()
+    } else {
+      const total = await this._addr.get(addr)
+      if (!total) throw new Error('Address not valid or not processed for balance ' + addr)
+      balance = total.out.combine(total.in)
     }
-    const total = await this._addr.get(addr)
-    if (!total) throw new Error('Address not valid or not processed for balance ' + addr)
-    return total.out.combine(total.in)
+    return this._withUnspendable(balance, addr)
+  }
+
+  /**
+  * @description add frozen, dust and immature coinbase value to a balance. Spendable is the balance without them
+  */
+  async _withUnspendable (balance, addr) {
+    const frozen = await this._unspent.getFrozenBalance(addr)
+    const dust = await this._unspent.getDustBalance(addr)
+    const immature = addr ? await this._unspent.getImmatureBalance(addr) : this._totalBal.getImmatureBalance()
+    const spendable = balance.consolidated.minus(frozen).minus(dust).minus(immature)
+    return { ...balance, frozen, dust, immature, spendable }
+  }
+
+  /**
+  * @description list unspent outputs of the wallet with confirmations and lock state
+  * @param {Object} opts filters. minConf, maxConf, address, minValue, includeLocked
+  */
+  async listUnspent (opts) {
+    return this._unspent.listUnspent(opts)
+  }
+
+  /**
+  * @description freeze an unspent output, so it is never selected for spending
+  * @param {string} point outpoint. format: txid:index
+  */
+  async freezeUtxo (point) {
+    return this._unspent.freeze(point)
+  }
+
+  /**
+  * @description unfreeze an output, so it can be spent again
+  * @param {string} point outpoint. format: txid:index
+  */
+  async unfreezeUtxo (point) {
+    return this._unspent.unfreeze(point)
+  }
+
+  /**
+  * @description list frozen outputs that are not spent
+  */
+  async listFrozen () {
+    return this._unspent.getFrozen()
   }
 
   /**
@@ -345,9 +503,10 @@ class SyncManager extends EventEmitter {
    * @param {'mempool'|'confirmed'|'pending'} txState - Transaction state
    * @param {number} [txFee=0] - Transaction fee
    * @param {string} [path] - HD wallet path
+   * @param {Array<Object>} [txInputs=[]] - Inputs of the transaction, used to detect our own transactions
    * @returns {Promise<void[]>} Promise resolving when all UTXOs are processed
    */
-  async _processUtxo (utxoList, inout, txState, txFee = 0, path) {
+  async _processUtxo (utxoList, inout, txState, txFee = 0, path, txInputs = []) {
     const { _addr, keyManager, hdWallet, _totalBal, _unspent } = this
     return Promise.all(utxoList.map(async (utxo) => {
       /** @type {Object} UTXO address balance */
@@ -392,8 +551,23 @@ class SyncManager extends EventEmitter {
       /** @desc Save updated balance */
       await _addr.set(utxo.address, bal)
 
+      /** @desc Dust outputs are kept out of coin selection */
+      const isNew = inout === 'out' && !(await _unspent.vout.get(point))
+      if (inout === 'out' && await this._isDust(utxo, txInputs)) {
+        utxo.dust = true
+      }
+
       /** @desc Add to unspent store for future signings */
       await _unspent.add(utxo, inout)
+      if (isNew && utxo.dust) {
+        this.emit('dust-received', {
+          address: utxo.address,
+          value: utxo.value,
+          txid: utxo.txid,
+          index: utxo.index,
+          state: txState
+        })
+      }
       if (inout === 'out') {
         this.emit('new-tx', {
           address: utxo.address,
@@ -408,6 +582,21 @@ class SyncManager extends EventEmitter {
     }))
   }
 
+  /**
+  * @description check if an incoming output is dust. Outputs of our own transactions are never dust.
+  * @param {Object} utxo incoming output
+  * @param {Array<Object>} txInputs inputs of the transaction that created the output
+  */
+  async _isDust (utxo, txInputs) {
+    if (+utxo.value.toBaseUnit() >= this._dustThreshold) return false
+    if (await this._addr.getSentTx(utxo.txid)) return false
+    // Sent transactions are not known after a restore or resync, a tx spending from our addresses is ours
+    for (const vin of txInputs) {
+      if (vin.address && await this.hdWallet.getAddress(vin.address)) return false
+    }
+    return true
+  }
+
   stopSync () {
     this._halt = true
   }
@@ -418,11 +607,63 @@ class SyncManager extends EventEmitter {
 
   isStopped () { return this._halt }
 
-  async utxoForAmount (value, strategy) {
+  /**
+  * @description select utxo for spending
+  * @param {Bitcoin|Object} value amount to pay
+  * @param {string} [strategy] coin selection strategy
+  * @param {Object} [opts] coin selection options. feeRate, outputs, includeDust
+  * @param {string} [opts.spendUnconfirmed] unconfirmed spend policy: none, own-change or any. Default is wallet policy
+  */
+  async utxoForAmount (value, strategy, opts = {}) {
     if (!(value instanceof Bitcoin)) {
       value = new Bitcoin(value.amount, value.unit)
     }
-    return this._unspent.getUtxoForAmount(value, strategy)
+    return this._unspent.getUtxoForAmount(value, strategy, this._withSpendPolicy(opts))
+  }
+
+  /**
+  * @description set unconfirmed spend policy of a selection, wallet policy is the default
+  */
+  _withSpendPolicy (opts = {}) {
+    const spendUnconfirmed = opts.spendUnconfirmed || this._spendUnconfirmed
+    this._validateSpendUnconfirmed(spendUnconfirmed)
+    return { ...opts, spendUnconfirmed }
+  }
+
+  _validateSpendUnconfirmed (policy) {
+    if (!Object.values(UnspentStore.SPEND_UNCONFIRMED).includes(policy)) throw new Error('Invalid unconfirmed spend policy: ' + policy)
+  }
+
+  /**
+  * @description get unspent outputs chosen by the caller for spending
+  * @param {Array<string>} points list of outpoints. format: txid:index
+  */
+  async utxoForPoints (points) {
+    return this._unspent.getUtxoForPoints(points)
+  }
+
+  /**
+  * @description get small unspent outputs to consolidate
+  * @param {Object} opts options. maxInputs, minValue, feeRate, includeDust, spendUnconfirmed
+  */
+  async utxoForConsolidation (opts) {
+    return this._unspent.getUtxoForConsolidation(this._withSpendPolicy(opts))
+  }
+
+  /**
+  * @description get all spendable unspent outputs
+  * @param {Object} [opts] options. includeDust, spendUnconfirmed
+  */
+  async utxoForAll (opts) {
+    return this._unspent.getAllUtxo(this._withSpendPolicy(opts))
+  }
+
+  /**
+  * @description get unspent outputs of a transaction for spending
+  * @param {string} txid transaction id
+  */
+  async utxoForTx (txid) {
+    return this._unspent.getUtxoForTx(txid)
   }
 
   getTransactions (fn) {
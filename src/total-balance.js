@@ -14,6 +14,8 @@
 
 'use strict'
 const { Balance } = require('./address-manager.js')
+const Bitcoin = require('./currency')
+const UnspentStore = require('./unspent-store.js')
 /**
  * Manages the total balance for the wallet.
  */
@@ -22,13 +24,16 @@ class TotalBalance {
    * Creates a new TotalBalance instance.
    * @param {Object} config - The configuration object.
    * @param {Object} config.store - The storage interface for persisting balance data.
+   * @param {Function} config.getBlockHeight - Returns current block height, used for coinbase maturity.
    */
   constructor (config) {
     this.state = config.state
+    this._getBlockHeight = config.getBlockHeight || (() => 0)
     this.totalBalance = {
       in: new Balance(),
       out: new Balance(),
-      fee: new Balance()
+      fee: new Balance(),
+      immature: {}
     }
   }
 
@@ -42,7 +47,8 @@ class TotalBalance {
         this.totalBalance = {
           in: new Balance(storedTotal.in.confirmed, storedTotal.in.pending, storedTotal.in.mempool, storedTotal.in.txid),
           out: new Balance(storedTotal.out.confirmed, storedTotal.out.pending, storedTotal.out.mempool, storedTotal.out.txid),
-          fee: new Balance(storedTotal.fee.confirmed, storedTotal.fee.pending, storedTotal.fee.mempool, storedTotal.fee.txid)
+          fee: new Balance(storedTotal.fee.confirmed, storedTotal.fee.pending, storedTotal.fee.mempool, storedTotal.fee.txid),
+          immature: storedTotal.immature || {}
         }
       }
     } catch (error) {
@@ -64,6 +70,48 @@ class TotalBalance {
     if (fee > 0) {
       this.totalBalance.fee.addBalance(txState, fee)
     }
+    this._updateImmature(direction, utxo, point)
+    await this._persistBalance()
+  }
+
+  /**
+   * Tracks unspent coinbase outputs. They are removed when they are spent.
+   * @param {'in'|'out'} direction - Whether the transaction is incoming or outgoing.
+   * @param {Object} utxo -  utxo object
+   * @param {String} point - utxo id
+   */
+  _updateImmature (direction, utxo, point) {
+    const { immature } = this.totalBalance
+    if (direction === 'in') {
+      delete immature[point]
+      return
+    }
+    if (!utxo.coinbase) return
+    immature[point] = { value: utxo.value.toBaseUnit(), height: utxo.tx_height || 0 }
+  }
+
+  /**
+   * Calculates the value of coinbase outputs that are not mature yet.
+   * @returns {Bitcoin} The immature balance.
+   */
+  getImmatureBalance () {
+    const blockHeight = this._getBlockHeight()
+    let total = new Bitcoin(0, 'main')
+    for (const { value, height } of Object.values(this.totalBalance.immature)) {
+      if (height && blockHeight - height + 1 >= UnspentStore.COINBASE_MATURITY) continue
+      total = total.add(new Bitcoin(value, 'base'))
+    }
+    return total
+  }
+
+  /**
+   * Removes a utxo from the total balance.
+   * @param {'in'|'out'} direction - Whether the transaction is incoming or outgoing.
+   * @param {'confirmed'|'pending'|'mempool'} txState - The state of the transaction.
+   * @param {String} point - utxo id
+   */
+  async removeTxId (direction, txState, point) {
+    this.totalBalance[direction].removeTxid(txState, point)
     await this._persistBalance()
   }
 
@@ -90,7 +138,8 @@ class TotalBalance {
     this.totalBalance = {
       in: new Balance(),
       out: new Balance(),
-      fee: new Balance()
+      fee: new Balance(),
+      immature: {}
     }
     await this._persistBalance()
   }
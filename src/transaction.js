@@ -16,58 +16,748 @@
 const bitcoin = require('bitcoinjs-lib')
 const { EventEmitter } = require('events')
 const Bitcoin = require('./currency.js')
+const CoinSelection = require('./coin-selection.js')
+const PaymentUri = require('./payment-uri.js')
+const AddressValidator = require('./address-validator.js')
+const TxTracker = require('./tx-tracker.js')
 
 const DUST_LIMIT = 546
+// @desc: nSequence that signals opt-in replace-by-fee (BIP125)
+const RBF_SEQUENCE = 0xfffffffd
+// @desc: minimum relay fee in sats per vbyte, used for BIP125 replacement rules
+const MIN_RELAY_FEE = 1
+// @desc: amount value that sends all spendable utxo
+const SEND_MAX = 'max'
+// @desc: max size of OP_RETURN data that is standard
+const MAX_DATA_SIZE = 80
+// @desc: coin selection strategy used in privacy mode
+const PRIVACY_SELECTION = 'privacy'
+// @desc: unconfirmed spend policy that only spends confirmed utxo
+const UNCONFIRMED_NONE = 'none'
+// @desc: default max fee rate in sats per vbyte
+const MAX_FEE_LIMIT = 100000
+// @desc: broadcast error returned by the server. Other errors are network errors, the tx may have reached the server
+const SERVER_ERROR = /^RPC Error/
+// @desc: error code of a broadcast that failed with a network error. The tx is kept and rebroadcasted
+const BROADCAST_PENDING = 'ERR_BROADCAST_PENDING'
 
 class Transaction extends EventEmitter {
   constructor (config) {
     super()
 
-    this._max_fee_limit = 100000 || config.max_fee_limit
+    this._max_fee_limit = config.maxFeeLimit || MAX_FEE_LIMIT
     this.network = config.network
     this.provider = config.provider
     this.keyManager = config.keyManager
     this._getInternalAddress = config.getInternalAddress
     this._syncManager = config.syncManager
+    this._policy = config.policy || null
   }
 
   async send (opts) {
-    const tx = await this._createTransaction(opts)
+    const tx = await this._createTransaction(opts, { policy: true })
+    return this._sendTx(tx)
+  }
+
+  /**
+  * @description Replace an unconfirmed sent transaction with a version paying a higher fee rate (BIP125).
+  * The replacement spends the same inputs as the original so that it conflicts with it.
+  * @param {string} txid id of the transaction to replace
+  * @param {Object} opts options
+  * @param {number} opts.feeRate new fee rate in sats per vbyte
+  * @returns {Promise<Object>} replacement transaction
+  */
+  async bumpFee (txid, { feeRate }) {
+    const sent = await this._getReplaceableTx(txid)
+    if (!feeRate || feeRate <= sent.feeRate || feeRate > this._max_fee_limit) {
+      throw new Error('Invalid fee rate ' + feeRate + '. must be higher than ' + sent.feeRate)
+    }
+    const tx = await this._createReplacement(sent, feeRate, this._sentRecipients(sent), sent.changeAddress)
+    return this._sendReplacement(sent, tx, 'replaced')
+  }
+
+  /**
+  * @description Cancel an unconfirmed sent transaction by double spending its inputs back to an internal address.
+  * @param {string} txid id of the transaction to cancel
+  * @param {Object} opts options
+  * @param {number} [opts.feeRate] fee rate in sats per vbyte. Defaults to the minimum increment over the original fee rate
+  * @returns {Promise<Object>} cancelling transaction
+  */
+  async cancel (txid, { feeRate } = {}) {
+    const sent = await this._getReplaceableTx(txid)
+    feeRate = feeRate || sent.feeRate + MIN_RELAY_FEE
+    if (feeRate <= sent.feeRate || feeRate > this._max_fee_limit) {
+      throw new Error('Invalid fee rate ' + feeRate + '. must be higher than ' + sent.feeRate)
+    }
+    const address = await this._getInternalAddress()
+    const utxoSet = this._sentUtxoSet(sent)
+
+    let fakeTx, realTx
+    try {
+      fakeTx = await this._generateSweepTx(utxoSet, feeRate, address.address)
+      // Cancel tx is smaller than the original, fee rate must also cover original absolute fee
+      const minFee = sent.totalFee + fakeTx.vSize * MIN_RELAY_FEE
+      const rate = Math.max(feeRate, Math.ceil(minFee / fakeTx.vSize))
+      realTx = await this._generateSweepTx(utxoSet, rate, address.address, fakeTx.vSize)
+    } catch (err) {
+      throw new Error('Failed to create cancel tx: ' + err.message)
+    }
+
+    realTx.changeAddress = address
+    realTx.replaces = sent.txid
+    await this._syncManager.addSentTx(realTx)
+    return this._sendReplacement(sent, realTx, 'cancelled')
+  }
+
+  /**
+  * @description Child-pays-for-parent. Spend our outputs of an unconfirmed incoming transaction
+  * with a fee that brings the effective fee rate of parent and child up to the target fee rate.
+  * @param {string} txid id of the unconfirmed parent transaction
+  * @param {Object} opts options
+  * @param {number} opts.feeRate target fee rate of the package in sats per vbyte
+  * @returns {Promise<Object>} child transaction
+  */
+  async accelerate (txid, { feeRate }) {
+    if (!feeRate || feeRate <= 0 || feeRate > this._max_fee_limit) throw new Error('Invalid fee rate ' + feeRate)
+    const parent = await this.provider.getTransaction(txid, { cache: false })
+    if (parent.height !== 0) throw new Error('Transaction is already confirmed: ' + txid)
+    const parentFee = +parent.fee.toBaseUnit()
+    if (parentFee >= parent.vsize * feeRate) throw new Error('Transaction fee rate is already above ' + feeRate)
+
+    const address = await this._getInternalAddress()
+    const utxoSet = await this._syncManager.utxoForTx(txid)
+
+    let fakeTx, realTx
+    try {
+      fakeTx = await this._generateSweepTx(utxoSet, feeRate, address.address)
+      const childFee = Math.ceil(feeRate * (parent.vsize + fakeTx.vSize) - parentFee)
+      realTx = await this._generateSweepTx(utxoSet, childFee, address.address)
+    } catch (err) {
+      await this._syncManager.unlockUtxo(false)
+      throw new Error('Failed to create child tx: ' + err.message)
+    }
+
+    realTx.changeAddress = address
+    realTx.parent = txid
+    realTx.packageFeeRate = (parentFee + realTx.totalFee) / (parent.vsize + realTx.vSize)
+    await this._syncManager.addSentTx(realTx)
+    return this._sendTx(realTx)
+  }
+
+  /**
+  * @description Consolidate small utxo into one output at an internal address
+  * @param {Object} opts options
+  * @param {number} opts.feeRate fee rate in sats per vbyte
+  * @param {number} [opts.maxInputs=100] max number of utxo to consolidate
+  * @param {number} [opts.minValue] min value of utxo to consolidate in sats
+  * @param {boolean} [opts.includeDust] consolidate dust utxo too
+  * @param {string} [opts.spendUnconfirmed] unconfirmed spend policy
+  * @returns {Promise<Object>} consolidation transaction
+  */
+  async consolidate ({ feeRate, maxInputs = 100, minValue, includeDust, spendUnconfirmed }) {
+    if (!feeRate || feeRate <= 0 || feeRate > this._max_fee_limit) throw new Error('Invalid fee rate ' + feeRate)
+    const address = await this._getInternalAddress()
+    const utxoSet = await this._syncManager.utxoForConsolidation({ feeRate, maxInputs, minValue, includeDust, spendUnconfirmed })
+
+    let fakeTx, realTx
+    try {
+      fakeTx = await this._generateSweepTx(utxoSet, feeRate, address.address)
+      realTx = await this._generateSweepTx(utxoSet, feeRate, address.address, fakeTx.vSize)
+    } catch (err) {
+      await this._syncManager.unlockUtxo(false)
+      throw new Error('Failed to create consolidation tx: ' + err.message)
+    }
+
+    realTx.changeAddress = address
+    await this._syncManager.addSentTx(realTx)
+    return this._sendTx(realTx)
+  }
+
+  /**
+  * @description Sweep all funds of an external private key to a wallet address.
+  * Unspent outputs of the key's p2pkh, p2sh-p2wpkh and p2wpkh scripts are found with the provider.
+  * @param {string} wif private key in WIF format
+  * @param {Object} opts options
+  * @param {number} opts.feeRate fee rate in sats per vbyte
+  * @param {function} opts.getAddress async function that returns the wallet address that receives the funds.
+  * It is only called when the key has unspent outputs
+  * @returns {Promise<Object>} sweep transaction
+  */
+  async sweepKey (wif, { feeRate, getAddress }) {
+    if (!feeRate || feeRate <= 0 || feeRate > this._max_fee_limit) throw new Error('Invalid fee rate ' + feeRate)
+    const { keyPair, scripts } = this.keyManager.keyFromWIF(wif)
+    const utxo = await this._keyUtxo(scripts)
+    if (utxo.length === 0) throw new Error('No unspent outputs found for private key')
+    const address = await getAddress()
+
+    const utxoSet = { utxo, total: utxo.reduce((total, u) => total.add(u.value), new Bitcoin(0, 'base')) }
+    let fakeTx, realTx
+    try {
+      fakeTx = await this._generateSweepTx(utxoSet, feeRate, address.address, 1, { signer: keyPair })
+      realTx = await this._generateSweepTx(utxoSet, feeRate, address.address, fakeTx.vSize, { signer: keyPair })
+    } catch (err) {
+      throw new Error('Failed to create sweep tx: ' + err.message)
+    }
+
+    realTx.changeAddress = address
+    realTx.sweep = true
+    await this._syncManager.addSentTx(realTx)
+    return this._sendTx(realTx)
+  }
+
+  /**
+  * @description find unspent outputs of scripts of an external key
+  */
+  async _keyUtxo (scripts) {
+    const utxo = []
+    for (const script of scripts) {
+      const list = await this.provider.getUnspent(this.keyManager.addressToScriptHash(script.address))
+      for (const u of list) {
+        const input = {
+          txid: u.tx_hash,
+          index: u.tx_pos,
+          value: new Bitcoin(u.value, 'base'),
+          address: script.address,
+          witness_hex: script.output.toString('hex'),
+          type: script.type,
+          redeemScript: script.redeemScript
+        }
+        // Legacy inputs sign the full previous transaction
+        if (script.type === 'p2pkh') input.prevTx = await this.provider.getRawTransaction(u.tx_hash)
+        utxo.push(input)
+      }
+    }
+    return utxo
+  }
+
+  /**
+  * @description Create an unsigned PSBT for an outgoing transaction.
+  * Inputs and change output carry bip32 derivation data, so that the signer can find its keys.
+  * Selected utxo are not reserved until the psbt is broadcasted.
+  * @param {Object} outgoing transaction details, same as send
+  * @returns {Promise<Object>} transaction details with psbt in base64
+  */
+  async createPsbt (outgoing) {
+    const tx = await this._createTransaction(outgoing, { unsigned: true })
+    await this._syncManager.unlockUtxo(false)
+    return tx
+  }
+
+  /**
+  * @description Sign inputs of a PSBT that are owned by this key manager
+  * @param {string} base64 psbt in base64
+  * @returns {string} signed psbt in base64
+  */
+  signPsbt (base64) {
+    const { keyManager } = this
+    const psbt = this._psbtFromBase64(base64)
+    let signed = 0
+    psbt.data.inputs.forEach((input, index) => {
+      if (!this._isOwnDerivation(input)) return
+      psbt.signInputHD(index, keyManager.bip32)
+      signed++
+    })
+    if (signed === 0) throw new Error('No inputs in psbt are owned by this wallet')
+    return psbt.toBase64()
+  }
+
+  /**
+  * @description Finalize a fully signed PSBT and broadcast it.
+  * Wallet inputs are reserved while broadcasting and marked spent after, inputs already spent are rejected.
+  * @param {string} base64 psbt in base64
+  * @returns {Promise<Object>} sent transaction
+  */
+  async finalizeAndSend (base64) {
+    const psbt = this._psbtFromBase64(base64)
+    try {
+      psbt.finalizeAllInputs()
+    } catch (err) {
+      throw new Error('Failed to finalize psbt: ' + err.message)
+    }
+    const tx = this._psbtTxDetails(psbt, psbt.extractTransaction())
+    const points = psbt.txInputs
+      .filter((txIn, index) => this._isOwnDerivation(psbt.data.inputs[index]))
+      .map((txIn) => Buffer.from(txIn.hash).reverse().toString('hex') + ':' + txIn.index)
+    if (points.length) await this._syncManager.utxoForPoints(points)
+    await this._checkPolicy(tx)
+    await this._syncManager.addSentTx(tx)
+    return this._sendTx(tx)
+  }
+
+  _psbtFromBase64 (base64) {
+    try {
+      return bitcoin.Psbt.fromBase64(base64, { network: bitcoin.networks[this.network] })
+    } catch (err) {
+      throw new Error('Invalid psbt: ' + err.message)
+    }
+  }
+
+  /**
+  * @description check if psbt input or output has a derivation path from this key manager
+  */
+  _isOwnDerivation (data) {
+    const fingerprint = this.keyManager.bip32.fingerprint
+    return (data.bip32Derivation || []).some((d) => d.masterFingerprint.equals(fingerprint))
+  }
+
+  /**
+  * @description transaction details of a finalized psbt, in the same format as sent transactions.
+  * Outputs that have our derivation path are change.
+  */
+  _psbtTxDetails (psbt, tx) {
+    const utxo = psbt.data.inputs.map((input, index) => {
+      const txIn = psbt.txInputs[index]
+      if (!input.witnessUtxo) throw new Error('Unsupported psbt input ' + index + ': only segwit inputs with witnessUtxo are supported')
+      const [derivation] = input.bip32Derivation || []
+      return {
+        txid: Buffer.from(txIn.hash).reverse().toString('hex'),
+        index: txIn.index,
+        witness_hex: input.witnessUtxo.script.toString('hex'),
+        value: new Bitcoin(input.witnessUtxo.value, 'base'),
+        address_path: derivation?.path,
+        address_public_key: derivation?.pubkey.toString('hex')
+      }
+    })
+
+    const recipients = []
+    let changeAddress, opReturn
+    psbt.txOutputs.forEach((out, index) => {
+      if (!out.address) {
+        const [op, data] = bitcoin.script.decompile(out.script)
+        if (op === bitcoin.opcodes.OP_RETURN && Buffer.isBuffer(data)) opReturn = data.toString('hex')
+        return
+      }
+      const data = psbt.data.outputs[index]
+      if (this._isOwnDerivation(data)) {
+        const [derivation] = data.bip32Derivation
+        changeAddress = { address: out.address, path: derivation.path, publicKey: derivation.pubkey.toString('hex') }
+        return
+      }
+      recipients.push({ address: out.address, amount: new Bitcoin(out.value, 'base'), index })
+    })
+
+    const totalFee = psbt.getFee()
+    const details = this._recipientDetails(recipients)
+    return {
+      sendAddress: recipients[0]?.address,
+      ...details,
+      feeRate: psbt.getFeeRate(),
+      totalFee,
+      totalSpent: details.deliveredAmount + totalFee,
+      vSize: tx.virtualSize(),
+      hex: tx.toHex(),
+      txid: tx.getId(),
+      utxo,
+      vout: tx.outs,
+      changeAddress,
+      data: opReturn
+    }
+  }
+
+  /**
+  * @description Estimate fee and preview a transaction without broadcasting it. Selected utxo are unlocked after.
+  * @param {Object} outgoing transaction details, same as send
+  * @returns {Promise<Object>} selected inputs, outputs, change, size and fee
+  */
+  async estimate (outgoing) {
+    let tx
+    try {
+      tx = await this._createTransaction(outgoing, { unsigned: true, estimate: true })
+    } finally {
+      await this._syncManager.unlockUtxo(false)
+    }
+
+    const inputs = tx.utxo.map((u) => {
+      return { txid: u.txid, index: u.index, value: +u.value.toBaseUnit(), address: u.address }
+    })
+    const inputTotal = inputs.reduce((total, u) => total + u.value, 0)
+    const outputs = tx.recipients.map(({ address, amount, index }) => {
+      return { address, value: amount, index }
+    })
+    const change = inputTotal - tx.totalSpent
+    if (tx.data) {
+      // In privacy mode change is between payments, before the data output
+      const index = outputs.length + (tx.privacy && change > 0 ? 1 : 0)
+      outputs.push({ data: tx.data, value: 0, index })
+    }
+
+    return {
+      inputs,
+      outputs,
+      change,
+      vSize: tx.vSize,
+      feeRate: tx.feeRate,
+      totalFee: tx.totalFee,
+      totalSpent: tx.totalSpent,
+      requestedAmount: tx.requestedAmount,
+      deliveredAmount: tx.deliveredAmount
+    }
+  }
+
+  /**
+  * @description check a payment against the spending policy, before it is stored and broadcasted.
+  * Transactions that pass are counted in the daily limit.
+  */
+  async _checkPolicy (tx) {
+    if (!this._policy) return
+    await this._policy.check(tx)
+    tx.policy_checked = true
+  }
+
+  async _sendTx (tx) {
     let txid
     try {
       txid = await this._broadcastTransaction(tx)
-    } catch(err) {
+    } catch (err) {
       console.log(err)
-      throw new Error('failed to broadcast tx')
+      if (SERVER_ERROR.test(err.message)) {
+        await this._syncManager.sentTxBroadcast(tx.txid, err)
+        throw new Error('failed to broadcast tx')
+      }
+      // Tx is kept as broadcasted and its inputs as spent. It is rebroadcasted if the server does not know it.
+      // Error has the txid, so the caller can follow the tx instead of paying again
+      this._syncManager.unlockUtxo(true)
+      await this._syncManager.sentTxBroadcast(tx.txid)
+      const pending = new Error('Broadcast of tx ' + tx.txid + ' failed with a network error, it will be rebroadcasted: ' + err.message)
+      pending.code = BROADCAST_PENDING
+      pending.txid = tx.txid
+      throw pending
     }
     if (txid?.message) {
       this._syncManager.unlockUtxo(false)
+      await this._syncManager.sentTxBroadcast(tx.txid, txid)
       throw new Error('Broadcast failed: ' + txid.message.split('\n').shift())
     }
     this._syncManager.unlockUtxo(true)
+    await this._syncManager.sentTxBroadcast(tx.txid)
+    return tx
+  }
+
+  /**
+  * @description broadcast a replacement and mark the original tx as replaced.
+  * The pending replacement is recorded first, so the original can not be replaced twice.
+  * A replacement rejected by the server is removed from sent transactions.
+  */
+  async _sendReplacement (sent, tx, reason) {
+    await this._syncManager.setReplacing(sent.txid, tx.txid)
+    try {
+      await this._sendTx(tx)
+    } catch (err) {
+      const replacement = await this._syncManager.getSentTx(tx.txid)
+      if (replacement && replacement.status !== TxTracker.STATES.DROPPED) {
+        // Network error, replacement is kept and rebroadcasted like a broadcasted tx
+        await this._syncManager.replaceSentTx(sent.txid, tx, reason)
+        throw err
+      }
+      await this._syncManager.removeSentTx(tx.txid)
+      await this._syncManager.setReplacing(sent.txid, null)
+      throw err
+    }
+    await this._syncManager.replaceSentTx(sent.txid, tx, reason)
     return tx
   }
 
+  /**
+  * @description get a sent transaction that can still be replaced
+  */
+  async _getReplaceableTx (txid) {
+    const sent = await this._syncManager.getSentTx(txid)
+    if (!sent) throw new Error('Transaction not found in sent transactions: ' + txid)
+    if (sent.replaced_by) throw new Error('Transaction already replaced by ' + sent.replaced_by)
+    if (sent.replacing) throw new Error('Transaction already being replaced by ' + sent.replacing)
+    // Inputs of a sweep belong to the external key, the wallet can not sign a replacement
+    if (sent.sweep) throw new Error('Sweep transactions can not be replaced: ' + txid)
+    const tx = await this.provider.getTransaction(txid, { cache: false })
+    if (tx.height !== 0) throw new Error('Transaction is already confirmed: ' + txid)
+    return sent
+  }
+
+  /**
+  * @description utxo set spent by a sent transaction
+  */
+  _sentUtxoSet (sent) {
+    const utxo = sent.utxo.map((u) => {
+      u.value = new Bitcoin(u.value)
+      return u
+    })
+    const total = utxo.reduce((total, u) => total.add(u.value), new Bitcoin(0, 'base'))
+    return { utxo, total }
+  }
+
+  /**
+  * @description recipients paid by a sent transaction
+  */
+  _sentRecipients (sent) {
+    if (!sent.recipients) {
+      return [{ address: sent.sendAddress, amount: new Bitcoin(sent.totalSpent - sent.totalFee, 'base') }]
+    }
+    return sent.recipients.map(({ address, amount, requested }) => {
+      return { address, amount: new Bitcoin(sent.subtractFee ? requested : amount, 'base') }
+    })
+  }
+
+  /**
+  * @description build and sign a transaction that replaces a sent transaction.
+  * Fee must satisfy BIP125: higher absolute fee that also pays for its own relay.
+  */
+  async _createReplacement (sent, feeRate, recipients, changeAddr) {
+    const utxoSet = this._sentUtxoSet(sent)
+    const opts = {
+      keepInputs: true,
+      subtractFee: sent.subtractFee,
+      data: sent.data ? Buffer.from(sent.data, 'hex') : undefined,
+      privacy: sent.privacy,
+      coinSelection: sent.privacy ? PRIVACY_SELECTION : undefined
+    }
+
+    let fakeTx, realTx
+    try {
+      fakeTx = await this._generateRawTx(utxoSet, feeRate, recipients, changeAddr, 1, opts)
+      realTx = await this._generateRawTx(utxoSet, feeRate, recipients, changeAddr, fakeTx.vSize, opts)
+    } catch (err) {
+      await this._syncManager.unlockUtxo(false)
+      throw new Error('Failed to create replacement tx: ' + err.message)
+    }
+
+    if (realTx.totalFee < sent.totalFee + realTx.vSize * MIN_RELAY_FEE) {
+      await this._syncManager.unlockUtxo(false)
+      throw new Error('Replacement fee too low: ' + realTx.totalFee)
+    }
+
+    realTx.changeAddress = changeAddr
+    realTx.replaces = sent.txid
+    if (sent.subtractFee) realTx.subtractFee = true
+    if (sent.data) realTx.data = sent.data
+    if (sent.privacy) realTx.privacy = true
+    await this._checkPolicy(realTx)
+    await this._syncManager.addSentTx(realTx)
+    return realTx
+  }
+
   async _broadcastTransaction (tx) {
     return this.provider.broadcastTransaction(tx.hex)
   }
 
-  async _generateRawTx (utxoSet, fee, sendAmount, address, changeAddr, weight = 1) {
-    if (+sendAmount.toBaseUnit() <= DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + sendAmount.toBaseUnit())
-    const { keyManager, network } = this
+  /**
+  * @description build and sign a transaction
+  * @param {Object} utxoSet utxo to spend and their total
+  * @param {number} fee fee rate in sats per vbyte
+  * @param {Array<{address: string, amount: Bitcoin}>} recipients destination addresses and amounts
+  * @param {Object} changeAddr change address object
+  * @param {number} weight virtual size of the transaction
+  * @param {Object} opts options
+  * @param {boolean} opts.keepInputs do not replace the utxo set when it can't pay for the tx, add more utxo to it instead.
+  * @param {boolean} opts.unsigned return unsigned psbt instead of signed transaction
+  * @param {boolean} opts.subtractFee recipients pay the fee, it is subtracted from their amounts
+  * @param {Buffer} opts.data data to embed in an OP_RETURN output
+  * @param {boolean} opts.manualInputs utxo set is chosen by the caller and can't be changed
+  * @param {string} opts.coinSelection coin selection strategy used when more utxo are needed
+  */
+  async _generateRawTx (utxoSet, fee, recipients, changeAddr, weight = 1, opts = {}) {
+    const sendAmount = this._totalAmount(recipients)
     const { utxo, total } = utxoSet
+    const psbt = this._newPsbt(utxo)
+
+    let totalFee = Bitcoin.BN(fee).times(weight)
+    const changeFee = opts.subtractFee ? 0 : totalFee
+    let change = Bitcoin.BN(total.toBaseUnit()).minus(sendAmount.toBaseUnit()).minus(changeFee).toNumber()
+    let outputs = recipients
+
+    if (opts.subtractFee) {
+      outputs = this._subtractFee(recipients, totalFee)
+      if (change >= 0 && change < DUST_LIMIT) {
+        // Leftover is too small for a change output, it is added to the fee
+        totalFee = totalFee.plus(change)
+        change = 0
+      }
+    } else if (change >= 0) {
+      // Inputs that pay for the outputs with a leftover below the change cost, like a branch and bound selection,
+      // are spent without change. The leftover is added to the fee
+      const outputCount = recipients.length + (opts.data ? 1 : 0)
+      const noChangeFee = Bitcoin.BN(fee).times(CoinSelection.txVsize(utxo.length, outputCount))
+      const leftover = Bitcoin.BN(total.toBaseUnit()).minus(sendAmount.toBaseUnit()).minus(noChangeFee).toNumber()
+      if (leftover >= 0 && leftover < CoinSelection.changeCost(fee)) {
+        totalFee = totalFee.plus(change)
+        change = 0
+      }
+    }
+
+    if (change !== 0 && change < DUST_LIMIT) {
+      // Current UTXO set is not enought to pay for amount + fee. we need to get more UTXO.
+      // If there is no more UTXO. this will throw error
+      await this._syncManager.unlockUtxo(false)
+      if (opts.manualInputs) throw new Error('Selected inputs are not enough to pay for amount, fee and change')
+      if (opts.keepInputs) {
+        // Inputs of a replaced tx must be kept, top up the set with more UTXO.
+        // BIP125 does not allow new unconfirmed inputs in a replacement
+        const missing = new Bitcoin(DUST_LIMIT - change + fee, 'base')
+        const extra = await this._syncManager.utxoForAmount(missing, opts.coinSelection, {
+          feeRate: fee,
+          includeDust: opts.includeDust,
+          spendUnconfirmed: UNCONFIRMED_NONE
+        })
+        const newUtxoSet = { utxo: utxo.concat(extra.utxo), total: total.add(extra.total) }
+        return await this._generateRawTx(newUtxoSet, fee, recipients, changeAddr, weight, opts)
+      }
+      const newAmount = total.add(new Bitcoin(fee, 'base'))
+      const newUtxoSet = await this._syncManager.utxoForAmount(newAmount, opts.coinSelection, {
+        feeRate: fee,
+        includeDust: opts.includeDust,
+        spendUnconfirmed: opts.spendUnconfirmed
+      })
+      return await this._generateRawTx(newUtxoSet, fee, recipients, changeAddr, weight, opts)
+    }
+
+    const txOutputs = outputs.map((recipient) => ({ recipient }))
+    if (change !== 0 && opts.privacy) {
+      // Change is put at a random position between payments, so it can't be spotted as the last output
+      txOutputs.splice(Math.floor(Math.random() * (txOutputs.length + 1)), 0, { change })
+    }
+    if (opts.data) txOutputs.push({ data: opts.data })
+    if (change !== 0 && !opts.privacy) txOutputs.push({ change })
+
+    const paid = []
+    txOutputs.forEach(({ recipient, data, change }, index) => {
+      if (data) return this._addDataOutput(psbt, data)
+      if (recipient) {
+        psbt.addOutput({
+          address: recipient.address,
+          value: +recipient.amount.toBaseUnit()
+        })
+        paid.push({ ...recipient, index })
+        return
+      }
+      psbt.addOutput({
+        address: changeAddr.address,
+        value: change
+      })
+      psbt.updateOutput(index, {
+        bip32Derivation: [
+          {
+            masterFingerprint: this.keyManager.bip32.fingerprint,
+            path: changeAddr.path,
+            pubkey: Buffer.from(changeAddr.publicKey, 'hex')
+          }
+        ]
+      })
+    })
+
+    if (opts.unsigned) {
+      return this._unsignedPsbt(psbt, utxo, { recipients: paid, totalFee, fee, weight })
+    }
+
+    return this._signPsbt(psbt, utxo, {
+      recipients: paid,
+      totalFee
+    })
+  }
+
+  /**
+  * @description split fee between recipients and subtract it from their amounts.
+  * First recipient pays the remainder of the split.
+  */
+  _subtractFee (recipients, totalFee) {
+    const share = totalFee.dividedToIntegerBy(recipients.length)
+    const remainder = totalFee.minus(share.times(recipients.length))
+
+    return recipients.map((r, index) => {
+      const fee = index === 0 ? share.plus(remainder) : share
+      const amount = new Bitcoin(Bitcoin.BN(r.amount.toBaseUnit()).minus(fee), 'base')
+      if (+amount.toBaseUnit() <= DUST_LIMIT) throw new Error('amount after fee must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + amount.toBaseUnit() + ' for ' + r.address)
+      return { address: r.address, amount, requested: r.amount }
+    })
+  }
+
+  /**
+  * @description build and sign a transaction that sends the whole utxo set minus fee to an address, without change
+  * @param {Object} utxoSet utxo to spend and their total
+  * @param {number} fee fee rate in sats per vbyte
+  * @param {string} address destination address
+  * @param {number} weight virtual size of the transaction
+  * @param {Object} opts options
+  * @param {boolean} opts.unsigned return unsigned psbt instead of signed transaction
+  * @param {Buffer} opts.data data to embed in an OP_RETURN output
+  * @param {Object} opts.signer key pair that signs all inputs, for utxo that are not from this wallet
+  */
+  async _generateSweepTx (utxoSet, fee, address, weight = 1, opts = {}) {
+    const { utxo, total } = utxoSet
+    const psbt = this._newPsbt(utxo)
+    const totalFee = Bitcoin.BN(fee).times(weight)
+    const sendAmount = Bitcoin.BN(total.toBaseUnit()).minus(totalFee)
+    if (sendAmount.lte(DUST_LIMIT)) throw new Error('utxo value is too small to pay for fee. got: ' + sendAmount.toString())
+
+    psbt.addOutput({
+      address,
+      value: sendAmount.toNumber()
+    })
+    this._addDataOutput(psbt, opts.data)
+
+    const recipients = [{ address, amount: new Bitcoin(sendAmount, 'base') }]
+    if (opts.unsigned) {
+      return this._unsignedPsbt(psbt, utxo, { recipients, totalFee, fee, weight })
+    }
+
+    return this._signPsbt(psbt, utxo, {
+      recipients,
+      totalFee
+    }, opts.signer)
+  }
+
+  /**
+  * @description add OP_RETURN output with data
+  */
+  _addDataOutput (psbt, data) {
+    if (!data) return
+    psbt.addOutput({
+      script: bitcoin.payments.embed({ data: [data] }).output,
+      value: 0
+    })
+  }
+
+  /**
+  * @description parse OP_RETURN data of outgoing transaction
+  * @param {string|Buffer} data data as string or buffer
+  * @param {string} [encoding=utf8] encoding of data string: hex or utf8
+  */
+  _parseData (data, encoding = 'utf8') {
+    if (data === undefined || data === null) return
+    if (!Buffer.isBuffer(data)) {
+      if (typeof data !== 'string') throw new Error('Invalid data, must be string or buffer')
+      if (!['hex', 'utf8'].includes(encoding)) throw new Error('Invalid data encoding ' + encoding)
+      if (encoding === 'hex' && !/^([0-9a-fA-F]{2})+$/.test(data)) throw new Error('Invalid hex data')
+      data = Buffer.from(data, encoding)
+    }
+    if (data.length === 0 || data.length > MAX_DATA_SIZE) throw new Error('Data must be between 1 and ' + MAX_DATA_SIZE + ' bytes. got: ' + data.length)
+    return data
+  }
+
+  /**
+  * @description create a psbt spending utxo. Inputs signal replaceability.
+  * Legacy utxo with prevTx spend the full previous transaction, p2sh wrapped utxo carry their redeemScript.
+  * Only wallet utxo have bip32 derivation data.
+  */
+  _newPsbt (utxo) {
+    const { keyManager, network } = this
     const psbt = new bitcoin.Psbt({ network: bitcoin.networks[network] })
 
     utxo.forEach((utxo, index) => {
-      psbt.addInput({
+      const input = {
         hash: utxo.txid,
         index: utxo.index,
-        witnessUtxo: {
+        sequence: RBF_SEQUENCE
+      }
+      if (utxo.prevTx) {
+        input.nonWitnessUtxo = Buffer.from(utxo.prevTx, 'hex')
+      } else {
+        input.witnessUtxo = {
           script: Buffer.from(utxo.witness_hex, 'hex'),
           value: +utxo.value.toBaseUnit()
         }
-      })
+      }
+      if (utxo.redeemScript) input.redeemScript = utxo.redeemScript
+      psbt.addInput(input)
 
+      if (!utxo.address_path) return
       psbt.updateInput(index, {
         bip32Derivation: [
           {
@@ -78,73 +768,210 @@ class Transaction extends EventEmitter {
         ]
       })
     })
+    return psbt
+  }
 
-    const totalFee = Bitcoin.BN(fee).times(weight)
-    const change = Bitcoin.BN(total.toBaseUnit()).minus(sendAmount.toBaseUnit()).minus(totalFee).toNumber()
+  /**
+  * @description per recipient breakdown with requested and delivered amounts in sats.
+  * Delivered amount is lower than requested when fee is subtracted from amount
+  */
+  _recipientDetails (recipients) {
+    let requestedAmount = 0
+    let deliveredAmount = 0
+    recipients = recipients.map(({ address, amount, requested, index }, i) => {
+      const delivered = +amount.toBaseUnit()
+      requested = requested ? +requested.toBaseUnit() : delivered
+      requestedAmount += requested
+      deliveredAmount += delivered
+      return { address, amount: delivered, requested, index: index ?? i }
+    })
+    return { recipients, requestedAmount, deliveredAmount }
+  }
 
-    if (change < DUST_LIMIT) {
-      // Current UTXO set is not enought to pay for amount + fee. we need to get more UTXO.
-      // If there is no more UTXO. this will throw error
-      await this._syncManager.unlockUtxo(false)
-      const newAmount = total.add(new Bitcoin(fee, 'base'))
-      const newUtxoSet = await this._syncManager.utxoForAmount(newAmount)
-      return await this._generateRawTx(newUtxoSet, fee, sendAmount, address, changeAddr, weight)
+  /**
+  * @description details of an unsigned psbt. Fee rate and size are estimated.
+  */
+  _unsignedPsbt (psbt, utxo, { recipients, totalFee, fee, weight }) {
+    const sendAmount = this._totalAmount(recipients)
+    return {
+      psbt: psbt.toBase64(),
+      sendAddress: recipients[0].address,
+      ...this._recipientDetails(recipients),
+      feeRate: fee,
+      totalFee: totalFee.toNumber(),
+      totalSpent: totalFee.plus(sendAmount.toBaseUnit()).toNumber(),
+      vSize: weight,
+      utxo
     }
+  }
 
-    psbt.addOutput({
-      address,
-      value: +sendAmount.toBaseUnit()
-    })
-
-    if (change !== 0) {
-      psbt.addOutput({
-        address: changeAddr.address,
-        value: change
+  /**
+  * @description sign all inputs of a psbt and extract the transaction
+  * @param {Object} [signer] key pair that signs all inputs. default is the wallet key manager
+  */
+  _signPsbt (psbt, utxo, { recipients, totalFee }, signer) {
+    const { keyManager } = this
+    const sendAmount = this._totalAmount(recipients)
+    if (signer) {
+      psbt.signAllInputs(signer)
+    } else {
+      utxo.forEach((u, index) => {
+        psbt.signInputHD(index, keyManager.bip32)
       })
     }
-
-    utxo.forEach((u, index) => {
-      psbt.signInputHD(index, keyManager.bip32)
-    })
     psbt.finalizeAllInputs()
     const tx = psbt.extractTransaction()
     return {
-      sendAddress: address,
+      sendAddress: recipients[0].address,
+      ...this._recipientDetails(recipients),
       feeRate: psbt.getFeeRate(),
       totalFee: totalFee.toNumber(),
       totalSpent: totalFee.plus(sendAmount.toBaseUnit()).toNumber(),
       vSize: tx.virtualSize(),
       hex: tx.toHex(),
       txid: tx.getId(),
-      utxo,
+      utxo: utxo.map(({ prevTx, redeemScript, ...u }) => u),
       vout: tx.outs
     }
   }
 
-  async _createTransaction ({ address, amount, unit, fee }) {
+  _totalAmount (recipients) {
+    return recipients.reduce((total, r) => total.add(r.amount), new Bitcoin(0, 'base'))
+  }
+
+  /**
+  * @description validate and parse recipients of a transaction.
+  * Outgoing can be a single recipient with address and amount, or a list of recipients.
+  */
+  _parseRecipients ({ recipients, address, amount, unit }) {
+    if (!recipients) recipients = [{ address, amount, unit }]
+    if (!Array.isArray(recipients) || recipients.length === 0) throw new Error('Invalid recipients')
+
+    return recipients.map((r) => {
+      r = this._fromPaymentUri(r)
+      if (r.amount === SEND_MAX) throw new Error('Sending max amount is only supported with a single recipient')
+      const amount = new Bitcoin(r.amount, r.unit)
+      if (+amount.toBaseUnit() <= DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + amount.toBaseUnit() + ' for ' + r.address)
+      this._validateAddress(r.address)
+      return { address: r.address, amount }
+    })
+  }
+
+  /**
+  * @description take address and amount from a BIP21 URI in the address field.
+  * Amount of the URI is used when no amount is passed. A passed amount must match the amount of the URI
+  */
+  _fromPaymentUri (outgoing) {
+    if (!PaymentUri.isUri(outgoing.address)) return outgoing
+    const { address, amount } = PaymentUri.parse(outgoing.address)
+    const res = { ...outgoing, address }
+    if (outgoing.amount == null) {
+      if (!amount) throw new Error('Payment uri has no amount: ' + outgoing.address)
+      res.amount = amount.toBaseUnit()
+      res.unit = 'base'
+    } else if (amount && (outgoing.amount === SEND_MAX || new Bitcoin(outgoing.amount, outgoing.unit).toBaseUnit() !== amount.toBaseUnit())) {
+      throw new Error('Amount does not match payment uri amount ' + amount.toMainUnit() + ': ' + outgoing.amount)
+    }
+    return res
+  }
+
+  _validateAddress (address) {
+    const { valid, error } = AddressValidator.validate(address, this.network)
+    if (!valid) throw new Error('Invalid address for network ' + this.network + ': ' + address + '. ' + error)
+  }
+
+  /**
+  * @description select utxo to pay for recipients, or use the inputs chosen by the caller
+  */
+  _selectUtxo (outgoing, recipients, data) {
+    if (outgoing.inputs) return this._syncManager.utxoForPoints(outgoing.inputs)
+    // When fee is paid by recipients, selection only needs to cover the amount
+    const feeRate = outgoing.subtractFee ? 0 : outgoing.fee
+    return this._syncManager.utxoForAmount(this._totalAmount(recipients), outgoing.coinSelection, {
+      feeRate,
+      includeDust: outgoing.includeDust,
+      spendUnconfirmed: outgoing.spendUnconfirmed,
+      outputs: recipients.length + (data ? 1 : 0)
+    })
+  }
+
+  /**
+  * @description spend all spendable utxo to one address without change. Fee is paid from the amount.
+  */
+  async _createSendAll ({ address, fee, inputs, includeDust, spendUnconfirmed }, opts) {
+    this._validateAddress(address)
+    const utxoSet = inputs ? await this._syncManager.utxoForPoints(inputs) : await this._syncManager.utxoForAll({ includeDust, spendUnconfirmed })
+
+    let fakeTx, realTx
+    try {
+      fakeTx = await this._generateSweepTx(utxoSet, fee, address, 1, { data: opts.data })
+      realTx = await this._generateSweepTx(utxoSet, fee, address, fakeTx.vSize, opts)
+    } catch (err) {
+      await this._syncManager.unlockUtxo(false)
+      throw new Error('Failed to create send max tx: ' + err.message)
+    }
+    if (opts.data) realTx.data = opts.data.toString('hex')
+    // Fee is paid from the amount. A replacement lowers the output instead of adding inputs
+    realTx.subtractFee = true
+    realTx.recipients[0].requested = realTx.totalSpent
+    realTx.requestedAmount = realTx.totalSpent
+
+    if (opts.unsigned) return realTx
+    if (opts.policy) await this._checkPolicy(realTx)
+    await this._syncManager.addSentTx(realTx)
+    return realTx
+  }
+
+  /**
+  * @description select utxo, build and sign a transaction for outgoing payment
+  * @param {Object} outgoing transaction details
+  * @param {Object} opts options
+  * @param {boolean} opts.unsigned create an unsigned psbt instead. psbt is not stored as sent tx
+  * @param {boolean} opts.estimate do not generate a new change address, a wallet address is used in its place
+  * @param {boolean} opts.policy check transaction against spending policy
+  */
+  async _createTransaction (outgoing, opts = {}) {
+    outgoing = this._fromPaymentUri(outgoing)
+    const { fee, subtractFee, privacy } = outgoing
+    const coinSelection = outgoing.coinSelection || (privacy ? PRIVACY_SELECTION : undefined)
     if (!fee || fee <= 0 || fee > this._max_fee_limit) throw new Error('Invalid fee ' + fee)
+    if (coinSelection && !CoinSelection.has(coinSelection)) throw new Error('Unknown coin selection strategy: ' + coinSelection)
+    const data = this._parseData(outgoing.data, outgoing.dataEncoding)
+    if (outgoing.amount === SEND_MAX) return this._createSendAll(outgoing, { ...opts, data })
+    opts = { ...opts, subtractFee, data, coinSelection, privacy, includeDust: outgoing.includeDust, spendUnconfirmed: outgoing.spendUnconfirmed }
 
-    const changeAddr = await this._getInternalAddress()
-    const sendAmount = new Bitcoin(amount, unit)
-    const utxoSet = await this._syncManager.utxoForAmount({ amount, unit })
+    const recipients = this._parseRecipients(outgoing)
+    let changeAddr = opts.estimate ? null : await this._getInternalAddress()
+    const utxoSet = await this._selectUtxo({ ...outgoing, coinSelection }, recipients, data)
+    opts.manualInputs = !!outgoing.inputs
+    if (!changeAddr) {
+      // Change output has the same script type as our inputs, so size and fee are the same
+      const [u] = utxoSet.utxo
+      changeAddr = { address: u.address, path: u.address_path, publicKey: u.address_public_key }
+    }
 
     // Generate a fake transaction to determine weight of the transaction
     // then we create a new tx with correct fee
     let fakeTx, realTx
 
     try {
-      fakeTx = await this._generateRawTx(utxoSet, fee, sendAmount, address, changeAddr)
-    } catch(err) {
-      throw new Error('Failed to simulate tx: '+ err.message)
+      fakeTx = await this._generateRawTx(utxoSet, fee, recipients, changeAddr, 1, { ...opts, unsigned: false })
+    } catch (err) {
+      throw new Error('Failed to simulate tx: ' + err.message)
     }
 
-    try { 
-      realTx = await this._generateRawTx(utxoSet, fee, sendAmount, address, changeAddr, fakeTx.vSize)
-    } catch(err) {
-      throw new Error('failed to send transaction'+ err.message)
+    try {
+      realTx = await this._generateRawTx(utxoSet, fee, recipients, changeAddr, fakeTx.vSize, opts)
+    } catch (err) {
+      throw new Error('failed to send transaction' + err.message)
     }
 
     realTx.changeAddress = changeAddr
+    if (subtractFee) realTx.subtractFee = true
+    if (data) realTx.data = data.toString('hex')
+    if (privacy) realTx.privacy = true
+    if (opts.unsigned) return realTx
+    if (opts.policy) await this._checkPolicy(realTx)
     await this._syncManager.addSentTx(realTx)
     return realTx
   }
@@ -0,0 +1,181 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const { EventEmitter } = require('events')
+
+// @desc: time in ms between checks of sent transactions
+const CHECK_INTERVAL = 5 * 60 * 1000
+// @desc: sent transactions are tracked until they have this many confirmations
+const TRACK_CONFIRMATIONS = 6
+// @desc: electrum server error when it does not know a transaction
+const TX_NOT_FOUND = /no such mempool or blockchain transaction|not found/i
+
+/**
+ * @description Track the lifecycle of outgoing transactions:
+ * created -> broadcast -> in-mempool -> confirmed, or dropped / replaced.
+ * State is saved with the sent transaction. Transactions that disappear from the server mempool are rebroadcasted.
+ * Emits tx-state event when the state of a transaction changes.
+ */
+class TxTracker extends EventEmitter {
+  static STATES = {
+    CREATED: 'created',
+    BROADCAST: 'broadcast',
+    MEMPOOL: 'in-mempool',
+    CONFIRMED: 'confirmed',
+    DROPPED: 'dropped',
+    REPLACED: 'replaced'
+  }
+
+  constructor (config) {
+    super()
+    this._addr = config.addressManager
+    this.provider = config.provider
+    this._getBlockHeight = config.getBlockHeight
+    this._interval = config.checkInterval ?? CHECK_INTERVAL
+    this._trackConfirmations = config.trackConfirmations || TRACK_CONFIRMATIONS
+    // @desc: called with the sent transaction when it is dropped, before tx-state event
+    this._onDropped = config.onDropped || null
+    this._timer = null
+    this._checking = false
+  }
+
+  /**
+  * @description start periodic checks of sent transactions
+  */
+  start () {
+    if (!this._interval || this._timer) return
+    this._timer = setInterval(() => {
+      this.check().catch((err) => console.log('failed to check sent transactions', err))
+    }, this._interval)
+    // Checks should not keep the process running
+    this._timer.unref?.()
+  }
+
+  stop () {
+    clearInterval(this._timer)
+    this._timer = null
+  }
+
+  /**
+  * @description update state of a sent transaction. Every change is saved in status_history
+  * @param {string} txid transaction id
+  * @param {string} state new state. see TxTracker.STATES
+  * @param {Object} [data] details of state, saved with the transaction
+  */
+  async setState (txid, state, data = {}) {
+    const sent = await this._addr.getSentTx(txid)
+    if (!sent) return
+    const prev = sent.status
+    // Replaced transactions stay replaced, even if they are seen again
+    if (prev === TxTracker.STATES.REPLACED) return
+    // Same state is saved again when its details change, like confirmations or rebroadcasts
+    if (prev === state && Object.keys(data).every((key) => sent[key] === data[key])) return
+
+    Object.assign(sent, data)
+    sent.status = state
+    sent.status_history = (sent.status_history || []).concat({ state, ts: Date.now(), ...data })
+    await this._addr.addSentTx(sent)
+    if (state === TxTracker.STATES.DROPPED && this._onDropped) await this._onDropped(sent)
+    this.emit('tx-state', { txid, state, prev, ...data })
+  }
+
+  /**
+  * @description update state after first broadcast of a transaction
+  * @param {string} txid transaction id
+  * @param {Error} [err] broadcast error
+  */
+  async onBroadcast (txid, err) {
+    if (err) return this.setState(txid, TxTracker.STATES.DROPPED, { error: err.message.split('\n').shift() })
+    const sent = await this._addr.getSentTx(txid)
+    // Wallet history may have already seen the tx in mempool
+    if (sent?.status !== TxTracker.STATES.CREATED) return
+    return this.setState(txid, TxTracker.STATES.BROADCAST)
+  }
+
+  /**
+  * @description update state from a transaction found in wallet history
+  * @param {Object} tx transaction with height
+  */
+  async onHistoryTx (tx) {
+    const sent = await this._addr.getSentTx(tx.txid)
+    if (!sent) return
+    if (tx.height === 0) {
+      // Confirmed tx can be seen in mempool again after a reorg
+      if (sent.status === TxTracker.STATES.MEMPOOL) return
+      return this.setState(tx.txid, TxTracker.STATES.MEMPOOL)
+    }
+    return this.setState(tx.txid, TxTracker.STATES.CONFIRMED, this._confirmed(tx))
+  }
+
+  /**
+  * @description check state of sent transactions that are not final, and rebroadcast transactions the server does not know
+  */
+  async check () {
+    if (this._checking) return
+    this._checking = true
+    try {
+      const list = await this._addr.getSentTxList()
+      for (const sent of list) {
+        if (!this._isTracked(sent)) continue
+        await this._checkTx(sent)
+      }
+    } finally {
+      this._checking = false
+    }
+  }
+
+  _isTracked (sent) {
+    const { BROADCAST, MEMPOOL, CONFIRMED } = TxTracker.STATES
+    if (sent.replaced_by) return false
+    if (sent.status === CONFIRMED) return sent.confirmations < this._trackConfirmations
+    return [BROADCAST, MEMPOOL].includes(sent.status)
+  }
+
+  async _checkTx (sent) {
+    let tx
+    try {
+      tx = await this.provider.getTransaction(sent.txid, { cache: false })
+    } catch (err) {
+      // Server is not reachable, try again on next check
+      if (!TX_NOT_FOUND.test(err.message)) return
+    }
+    if (tx) return this.onHistoryTx(tx)
+    return this._rebroadcast(sent)
+  }
+
+  async _rebroadcast (sent) {
+    const rebroadcasts = (sent.rebroadcasts || 0) + 1
+    let res
+    try {
+      res = await this.provider.broadcastTransaction(sent.hex)
+    } catch (err) {
+      res = err
+    }
+    if (res?.message) {
+      // Inputs are spent by another tx or the tx is no longer valid
+      return this.setState(sent.txid, TxTracker.STATES.DROPPED, { error: res.message.split('\n').shift(), rebroadcasts })
+    }
+    return this.setState(sent.txid, TxTracker.STATES.BROADCAST, { rebroadcasts })
+  }
+
+  _confirmed (tx) {
+    return {
+      height: tx.height,
+      confirmations: Math.max(this._getBlockHeight() - tx.height + 1, 1)
+    }
+  }
+}
+
+module.exports = TxTracker
@@ -13,7 +13,16 @@
 // limitations under the License.
 
 'use strict'
+const { randomUUID } = require('crypto')
 const Bitcoin = require('./currency')
+const CoinSelection = require('./coin-selection.js')
+
+// @desc: time in ms before a utxo reservation is released, if the tx is not broadcasted
+const RESERVATION_TIMEOUT = 5 * 60 * 1000
+// @desc: number of confirmations before coinbase outputs can be spent
+const COINBASE_MATURITY = 100
+// @desc: BIP44 path level of change. m / purpose' / coin_type' / account' / change / address_index
+const CHANGE_PATH_LEVEL = 4
 
 /**
  * @description Class for storing Bitcoin VIN and VOUT
@@ -30,7 +39,9 @@ class VinVout {
 
   async push (utxo) {
     const key = this.vtype === 'vout' ? utxo.txid + ':' + utxo.index : utxo.prev_txid + ':' + utxo.prev_index
-    if (await this.store.get(key)) return
+    const existing = await this.store.get(key)
+    // Keep height of the tx up to date when it is confirmed
+    if (existing && existing.tx_height === utxo.tx_height) return
     return this.store.put(key, utxo)
   }
 
@@ -60,12 +71,32 @@ class VinVout {
   get (key) {
     return this.store.get(key)
   }
+
+  delete (key) {
+    return this.store.delete(key)
+  }
 }
 
 /**
  * @description class for tracking vin and vout, for spending btc
 */
 class UnspentStore {
+  // @desc: confirmations before coinbase outputs can be spent
+  static COINBASE_MATURITY = COINBASE_MATURITY
+
+  // @desc: default time in ms before a utxo reservation is released
+  static RESERVATION_TIMEOUT = RESERVATION_TIMEOUT
+
+  // @desc: policies for spending unconfirmed outputs
+  static SPEND_UNCONFIRMED = {
+    // Only confirmed outputs
+    NONE: 'none',
+    // Confirmed outputs and unconfirmed change of our own transactions
+    OWN_CHANGE: 'own-change',
+    // Any unconfirmed output
+    ANY: 'any'
+  }
+
   constructor (config) {
     this.store = config.store.newInstance({ name: 'utxo' })
     this.vin = new VinVout({
@@ -77,14 +108,23 @@ class UnspentStore {
       vtype: 'vout'
     })
     this.ready = false
+    this._reservationTimeout = config.reservationTimeout || RESERVATION_TIMEOUT
+    // @desc: returns current block height
+    this._getBlockHeight = config.getBlockHeight || (() => 0)
   }
 
   async init () {
     await this.vin.init()
     await this.vout.init()
-    this.locked = await this.store.get('utxo_lock') || []
-    this._lockedUtxo = []
+    // @desc: reserved outpoints. txid:index => { id, expiry }
+    const reservations = await this.store.get('utxo_lock')
+    this._reservations = reservations && !Array.isArray(reservations) ? reservations : {}
+    // @desc: reservation id of the tx in progress
+    this._reservationId = null
+    // @desc: frozen outpoints are never selected for spending
+    this._frozen = await this.store.get('utxo_frozen') || []
     this._spentUtxo = []
+    await this._releaseExpired()
     await this.process()
   }
 
@@ -120,72 +160,451 @@ class UnspentStore {
     this.ready = true
   }
 
-  /** desc: lock a ouput **/
-  async lock (id) {
-    const exists = await this.vout.some((utxo) => utxo.txid === id)
-    if (this.locked.includes(id) || !exists) return false
-    this.locked.push(id)
-    return true
+  /**
+  * @description check if an outpoint is reserved by a reservation that has not expired
+  * @param {string} pt outpoint. format: txid:index
+  */
+  isReserved (pt) {
+    const reservation = this._reservations[pt]
+    return !!reservation && reservation.expiry > Date.now()
+  }
+
+  /**
+  * @description list active reservations
+  * @returns {Array} list of reservations with id, expiry and outpoints
+  */
+  getReservations () {
+    const list = {}
+    for (const [pt, { id, expiry }] of Object.entries(this._reservations)) {
+      if (expiry <= Date.now()) continue
+      if (!list[id]) list[id] = { id, expiry, points: [] }
+      list[id].points.push(pt)
+    }
+    return Object.values(list)
+  }
+
+  /**
+  * @description reserve outputs for the tx in progress. Reservation is saved, so it survives a restart until it expires.
+  * @param {Array} utxo outputs to reserve
+  * @returns {Promise<string>} reservation id
+  */
+  async _reserve (utxo) {
+    if (!this._reservationId) this._reservationId = randomUUID()
+    const expiry = Date.now() + this._reservationTimeout
+    utxo.forEach((u) => {
+      this._reservations[`${u.txid}:${u.index}`] = { id: this._reservationId, expiry }
+    })
+    await this._saveReservations()
+    return this._reservationId
+  }
+
+  /**
+  * @description remove outpoints of a reservation
+  * @returns {Array<string>} released outpoints
+  */
+  _removeReservation (id) {
+    const points = []
+    for (const [pt, reservation] of Object.entries(this._reservations)) {
+      if (reservation.id !== id) continue
+      delete this._reservations[pt]
+      points.push(pt)
+    }
+    return points
+  }
+
+  async _releaseExpired () {
+    const now = Date.now()
+    const expired = Object.keys(this._reservations).filter((pt) => this._reservations[pt].expiry <= now)
+    if (expired.length === 0) return
+    expired.forEach((pt) => delete this._reservations[pt])
+    await this._saveReservations()
+  }
+
+  _saveReservations () {
+    return this.store.put('utxo_lock', this._reservations)
+  }
+
+  async _resetLock () {
+    this._reservations = {}
+    this._reservationId = null
+    await this._saveReservations()
+  }
+
+  /**
+  * @description freeze an unspent output, so it is never selected for spending
+  * @param {string} pt outpoint. format: txid:index
+  */
+  async freeze (pt) {
+    this._validatePoint(pt)
+    if (this.isFrozen(pt)) throw new Error('Outpoint is already frozen: ' + pt)
+    if (!(await this.vout.get(pt))) throw new Error('Outpoint not found in wallet: ' + pt)
+    this._frozen.push(pt)
+    await this.store.put('utxo_frozen', this._frozen)
+  }
+
+  /**
+  * @description unfreeze an output, so it can be spent again
+  * @param {string} pt outpoint. format: txid:index
+  */
+  async unfreeze (pt) {
+    this._validatePoint(pt)
+    if (!this.isFrozen(pt)) throw new Error('Outpoint is not frozen: ' + pt)
+    this._frozen = this._frozen.filter((p) => p !== pt)
+    await this.store.put('utxo_frozen', this._frozen)
+  }
+
+  isFrozen (pt) {
+    return this._frozen.includes(pt)
+  }
+
+  /**
+  * @description list frozen outputs that are not spent
+  * @param {string} [address] only list outputs of this address
+  * @returns {Promise<Array>} frozen outputs
+  */
+  async getFrozen (address) {
+    const utxo = []
+    for (const pt of this._frozen) {
+      const v = await this.vout.get(pt)
+      if (!v || (address && v.address !== address)) continue
+      if (this._spentUtxo.includes(pt) || await this.vin.get(pt)) continue
+      v.value = new Bitcoin(v.value)
+      utxo.push(v)
+    }
+    return utxo
+  }
+
+  /**
+  * @description total value of frozen outputs. Immature outputs are counted in immature balance
+  * @param {string} [address] only count outputs of this address
+  */
+  async getFrozenBalance (address) {
+    const utxo = await this.getFrozen(address)
+    return utxo.filter((u) => !this.isImmature(u)).reduce((total, u) => total.add(u.value), new Bitcoin(0, 'main'))
+  }
+
+  /**
+  * @description check if an output can be spent with an unconfirmed spend policy.
+  * Unconfirmed outputs on an internal path are our own change.
+  */
+  _isAllowedUnconfirmed (v, policy = UnspentStore.SPEND_UNCONFIRMED.ANY) {
+    if (v.tx_height > 0 || policy === UnspentStore.SPEND_UNCONFIRMED.ANY) return true
+    if (policy === UnspentStore.SPEND_UNCONFIRMED.OWN_CHANGE) {
+      return v.address_path?.split('/')[CHANGE_PATH_LEVEL] === '1'
+    }
+    return false
+  }
+
+  _validatePoint (pt) {
+    if (typeof pt !== 'string' || !/^[0-9a-f]{64}:\d+$/.test(pt)) throw new Error('Invalid outpoint: ' + pt + '. format: txid:index')
+  }
+
+  /**
+  * @description list unspent outputs with their state
+  * @param {Object} opts filters
+  * @param {number} [opts.minConf=0] min number of confirmations
+  * @param {number} [opts.maxConf] max number of confirmations
+  * @param {string} [opts.address] only list outputs of this address
+  * @param {number} [opts.minValue] min value in sats
+  * @param {boolean} [opts.includeLocked=false] include reserved and frozen outputs
+  * @returns {Promise<Array>} list of outputs
+  */
+  async listUnspent (opts = {}) {
+    const blockHeight = this._getBlockHeight()
+    const { minConf = 0, maxConf = Infinity, address, minValue = 0, includeLocked = false } = opts
+    const list = []
+    await this.vout.entries(async (v) => {
+      const point = `${v.txid}:${v.index}`
+      if (this._spentUtxo.includes(point) || await this.vin.get(point)) return
+      if (address && v.address !== address) return
+      const confirmations = this._confirmations(v, blockHeight)
+      if (confirmations < minConf || confirmations > maxConf) return
+      if (+v.value.toBaseUnit() < minValue) return
+      const locked = this.isReserved(point)
+      const frozen = this.isFrozen(point)
+      if ((locked || frozen) && !includeLocked) return
+      list.push({
+        point,
+        txid: v.txid,
+        index: v.index,
+        value: v.value,
+        address: v.address,
+        path: v.address_path,
+        height: v.tx_height || 0,
+        confirmations,
+        locked,
+        frozen,
+        dust: !!v.dust,
+        immature: this.isImmature(v)
+      })
+    })
+    return list
+  }
+
+  /**
+  * @description total value of unspent dust outputs that are not frozen
+  * @param {string} [address] only count outputs of this address
+  */
+  async getDustBalance (address) {
+    let total = new Bitcoin(0, 'main')
+    await this.vout.entries(async (v) => {
+      const pt = `${v.txid}:${v.index}`
+      if (!v.dust || this.isFrozen(pt) || this.isImmature(v) || (address && v.address !== address)) return
+      if (this._spentUtxo.includes(pt) || await this.vin.get(pt)) return
+      total = total.add(v.value)
+    })
+    return total
+  }
+
+  /**
+  * @description number of confirmations of an output
+  */
+  _confirmations (v, blockHeight = this._getBlockHeight()) {
+    return v.tx_height ? Math.max(blockHeight - v.tx_height + 1, 0) : 0
+  }
+
+  /**
+  * @description check if an output is a coinbase output that can't be spent yet
+  */
+  isImmature (v) {
+    return !!v.coinbase && this._confirmations(v) < COINBASE_MATURITY
+  }
+
+  /**
+  * @description total value of unspent coinbase outputs that are not mature. Frozen outputs are included
+  * @param {string} [address] only count outputs of this address
+  */
+  async getImmatureBalance (address) {
+    let total = new Bitcoin(0, 'main')
+    await this.vout.entries(async (v) => {
+      const pt = `${v.txid}:${v.index}`
+      if (!this.isImmature(v) || (address && v.address !== address)) return
+      if (this._spentUtxo.includes(pt) || await this.vin.get(pt)) return
+      total = total.add(v.value)
+    })
+    return total
+  }
+
+  /**
+  * @description check if an output can be selected for spending. It must not be reserved, frozen, immature or spent.
+  * Dust outputs are only selected when opted in.
+  * @param {Object} v output
+  * @param {Object} [opts] options
+  * @param {boolean} [opts.includeDust] select dust outputs
+  * @param {string} [opts.spendUnconfirmed] which unconfirmed outputs can be spent. see UnspentStore.SPEND_UNCONFIRMED
+  */
+  async _isAvailable (v, opts = {}) {
+    const pt = `${v.txid}:${v.index}`
+    if (v.dust && !opts.includeDust) return false
+    if (this.isImmature(v) || !this._isAllowedUnconfirmed(v, opts.spendUnconfirmed)) return false
+    if (this.isReserved(pt) || this.isFrozen(pt) || this._spentUtxo.includes(pt)) return false
+    return !(await this.vin.get(pt))
+  }
+
+  /**
+  * @description Move locks of a replaced transaction to its replacement.
+  * Outputs created by the replaced tx will never confirm and are removed. Inputs of the replacement are marked as spent.
+  * @param {string} txid replaced transaction id
+  * @param {Array} utxo inputs of the replacement transaction
+  */
+  async supersede (txid, utxo) {
+    await this.vout.filter((v) => v.txid !== txid)
+    utxo.forEach((u) => {
+      const pt = `${u.txid}:${u.index}`
+      if (!this._spentUtxo.includes(pt)) this._spentUtxo.push(pt)
+    })
   }
 
-  getUtxoForAmount (amount, strategy) {
+  /**
+  * @description roll back a dropped tx: remove its outputs and give back its inputs, so they can be spent again
+  * @param {string} txid dropped transaction id
+  * @param {Array} utxo inputs of the dropped transaction to give back
+  */
+  async restoreDropped (txid, utxo) {
+    await this.vout.filter((v) => v.txid !== txid)
+    for (const u of utxo) {
+      const pt = `${u.txid}:${u.index}`
+      this._spentUtxo = this._spentUtxo.filter((spent) => spent !== pt)
+      await this.vin.delete(pt)
+      await this.vout.push(u)
+    }
+  }
+
+  /**
+  * @description select and lock utxo that pay for an amount
+  * @param {Bitcoin} amount amount to pay
+  * @param {string} [strategy] coin selection strategy name. see CoinSelection
+  * @param {Object} opts options
+  * @param {number} opts.feeRate fee rate in sats per vbyte, used for the cost of spending each utxo
+  * @param {number} opts.outputs number of outputs without change
+  * @param {boolean} [opts.includeDust] include dust outputs
+  * @param {string} [opts.spendUnconfirmed] unconfirmed spend policy
+  */
+  async getUtxoForAmount (amount, strategy, opts = {}) {
     if (!this.ready) throw new Error('not ready. tx in progress')
     this.ready = false
-    // small to large
-    return this._smallToLarge(amount)
+    try {
+      await this._releaseExpired()
+      return await this._selectUtxo(amount, strategy, opts)
+    } catch (err) {
+      this.ready = true
+      throw err
+    }
   }
 
   /**
-  * @description unlock locked outputs for spending.
-  * @param {boolean} state if true, remove locked outputs from vout set. if FALSE, reset lock
+  * @description get and lock unspent outputs chosen by the caller
+  * @param {Array<string>} points list of outpoints. format: txid:index
   */
-  async unlock (state) {
-    if (!state) {
-      this.locked = []
-      this.ready = true
-      return
+  async getUtxoForPoints (points) {
+    if (!this.ready) throw new Error('not ready. tx in progress')
+    if (!Array.isArray(points) || points.length === 0) throw new Error('Inputs must be a list of outpoints')
+    if (new Set(points).size !== points.length) throw new Error('Duplicate inputs')
+
+    await this._releaseExpired()
+    let total = new Bitcoin(0, 'base')
+    const utxo = []
+    for (const pt of points) {
+      this._validatePoint(pt)
+      if (this.isReserved(pt)) throw new Error('Outpoint is locked: ' + pt)
+      if (this.isFrozen(pt)) throw new Error('Outpoint is frozen: ' + pt)
+      if (this._spentUtxo.includes(pt) || await this.vin.get(pt)) throw new Error('Outpoint is already spent: ' + pt)
+      const v = await this.vout.get(pt)
+      if (!v) throw new Error('Outpoint not found in wallet: ' + pt)
+      if (this.isImmature(v)) throw new Error('Coinbase outpoint is not mature: ' + pt)
+      v.value = new Bitcoin(v.value)
+      total = total.add(v.value)
+      utxo.push(v)
     }
 
-    await Promise.all(this.locked.map(async (id) => {
-      this._spentUtxo.push(id)
-      return this.vout.filter((utxo) => utxo.txid !== id)
-    }))
+    this.ready = false
+    const reservation = await this._reserve(utxo)
+    return { utxo, total, reservation }
+  }
 
-    this.locked = []
-    this.ready = true
+  /**
+  * @description get and lock small unspent outputs for consolidation, smallest first.
+  * Outputs that cost more to spend than their value at the fee rate are skipped.
+  * @param {Object} opts options
+  * @param {number} opts.maxInputs max number of outputs
+  * @param {number} [opts.minValue] min value of output in sats
+  * @param {number} opts.feeRate fee rate in sats per vbyte
+  * @param {boolean} [opts.includeDust] include dust outputs
+  * @param {string} [opts.spendUnconfirmed] unconfirmed spend policy
+  */
+  async getUtxoForConsolidation ({ maxInputs, minValue = 0, feeRate, includeDust, spendUnconfirmed }) {
+    if (!this.ready) throw new Error('not ready. tx in progress')
+    await this._releaseExpired()
+    const candidates = []
+    await this.vout.entries(async (v) => {
+      if (!(await this._isAvailable(v, { includeDust, spendUnconfirmed }))) return
+      const value = +v.value.toBaseUnit()
+      if (value < minValue || value <= feeRate * CoinSelection.INPUT_VSIZE) return
+      candidates.push(v)
+    })
+
+    const utxo = candidates.sort((a, b) => a.value.toBaseUnit() - b.value.toBaseUnit()).slice(0, maxInputs)
+    if (utxo.length < 2) throw new Error('Not enough utxo to consolidate. found: ' + utxo.length)
+
+    this.ready = false
+    const total = utxo.reduce((total, u) => total.add(u.value), new Bitcoin(0, 'base'))
+    const reservation = await this._reserve(utxo)
+    return { utxo, total, reservation }
+  }
+
+  /**
+  * @description get and lock all spendable unspent outputs
+  * @param {Object} [opts] options
+  * @param {boolean} [opts.includeDust] include dust outputs
+  * @param {string} [opts.spendUnconfirmed] unconfirmed spend policy
+  */
+  getAllUtxo (opts = {}) {
+    return this._lockMatching(
+      (v) => this._isAvailable(v, opts),
+      'Insufficient funds or no utxo available'
+    )
+  }
+
+  /**
+  * @description get and lock all unspent outputs created by a transaction
+  * @param {string} txid transaction id
+  */
+  getUtxoForTx (txid) {
+    return this._lockMatching(
+      // Outputs of a tx are chosen by the caller, so dust is included
+      async (v) => v.txid === txid && await this._isAvailable(v, { includeDust: true }),
+      'No unspent outputs found for tx ' + txid
+    )
   }
 
   /**
-  * @description collect unspent outputs for performing a tx
-  * TODO: ADD UTXO selection args here
+  * @description get and lock all unspent outputs that match a filter
+  * @param {function} filter async function that returns true for outputs to lock
+  * @param {string} emptyError error message when no outputs match
   */
-  async _smallToLarge (amount) {
-    let total = new Bitcoin(0, amount.type)
+  async _lockMatching (filter, emptyError) {
+    if (!this.ready) throw new Error('not ready. tx in progress')
+    this.ready = false
+    await this._releaseExpired()
+    let total = new Bitcoin(0, 'base')
     const utxo = []
-    let done = false
 
     await this.vout.entries(async (v) => {
-      const pt = `${v.txid}:${v.index}`
-      if (this.locked.includes(pt) || done) return
-      if (this._spentUtxo.includes(pt) || done) return
+      if (!(await filter(v))) return
       total = total.add(v.value)
       utxo.push(v)
-      await this.lock(pt)
-      if (total.gte(amount)) {
-        // TODO: SOME loop
-        done = true
-      }
     })
-    const diff = total.minus(amount)
 
     if (utxo.length === 0) {
+      this.ready = true
+      throw new Error(emptyError)
+    }
+    const reservation = await this._reserve(utxo)
+    return { utxo, total, reservation }
+  }
+
+  /**
+  * @description release reserved outputs of the tx in progress.
+  * @param {boolean} state if true, outputs are spent and removed from vout set. if FALSE, outputs can be spent again
+  * @param {string} [id] reservation id. default is reservation of the tx in progress
+  */
+  async unlock (state, id = this._reservationId) {
+    const points = id ? this._removeReservation(id) : []
+    if (id === this._reservationId) {
+      this._reservationId = null
+      this.ready = true
+    }
+    await this._saveReservations()
+    if (!state) return
+
+    await Promise.all(points.map(async (pt) => {
+      if (!this._spentUtxo.includes(pt)) this._spentUtxo.push(pt)
+      return this.vout.delete(pt)
+    }))
+  }
+
+  /**
+  * @description collect unspent outputs for performing a tx with a coin selection strategy
+  */
+  async _selectUtxo (amount, strategy, opts) {
+    const candidates = []
+    await this.vout.entries(async (v) => {
+      if (!(await this._isAvailable(v, opts))) return
+      candidates.push(v)
+    })
+
+    if (candidates.length === 0) {
       throw new Error('Insufficient funds or no utxo available')
     }
 
-    if (diff.toNumber() < 0) {
+    const utxo = CoinSelection.select(strategy, candidates, +amount.toBaseUnit(), opts)
+    if (!utxo) {
       throw new Error('Have utxo but insufficient funds')
     }
-    return { utxo, total, diff }
+
+    const total = utxo.reduce((total, u) => total.add(u.value), new Bitcoin(0, amount.type))
+    const reservation = await this._reserve(utxo)
+    return { utxo, total, diff: total.minus(amount), reservation }
   }
 }
 
@@ -14,14 +14,18 @@
 
 'use strict'
 let bip32
+let ECPair
 const bitcoin = require('bitcoinjs-lib')
 const { BIP32Factory } = require('bip32')
+const { ECPairFactory } = require('ecpair')
 
 let ecc = require('@bitcoinerlab/secp256k1')
 
 async function loadWASM () {
   ecc = await ecc
   bip32 = BIP32Factory(ecc)
+  // Paying to taproot addresses needs an ecc library
+  bitcoin.initEccLib(ecc)
 }
 
 class WalletKeyBitcoin {
@@ -82,6 +86,35 @@ class WalletKeyBitcoin {
     }
   }
 
+  /**
+  * @description Import a private key in WIF format and derive its scripts.
+  * Uncompressed keys only have a p2pkh script, segwit requires compressed keys.
+  * @param {string} wif - private key in WIF format
+  * @returns {Object} key pair and list of scripts with type, address, output and redeemScript
+  */
+  keyFromWIF (wif) {
+    if (!this.network) throw new Error('Network not set')
+    if (!ECPair) ECPair = ECPairFactory(ecc)
+    let keyPair
+    try {
+      keyPair = ECPair.fromWIF(wif, this.network)
+    } catch (err) {
+      throw new Error('Invalid private key: ' + err.message)
+    }
+    const { publicKey: pubkey } = keyPair
+    const network = this.network
+    const payments = [['p2pkh', bitcoin.payments.p2pkh({ pubkey, network })]]
+    if (keyPair.compressed) {
+      const p2wpkh = bitcoin.payments.p2wpkh({ pubkey, network })
+      payments.push(['p2sh-p2wpkh', bitcoin.payments.p2sh({ redeem: p2wpkh, network })])
+      payments.push(['p2wpkh', p2wpkh])
+    }
+    const scripts = payments.map(([type, payment]) => {
+      return { type, address: payment.address, output: payment.output, redeemScript: payment.redeem?.output }
+    })
+    return { keyPair, scripts }
+  }
+
   /**
   * @description Generate a script hash from a address
   * @param {string} addr - bitcoin address
@@ -17,6 +17,12 @@ const { WalletPay, HdWallet } = require('lib-wallet')
 const Transaction = require('./transaction.js')
 const SyncManager = require('./sync-manager.js')
 const Bitcoin = require('./currency')
+const FeeEstimate = require('./fee-estimate.js')
+const SendQueue = require('./send-queue.js')
+const PolicyEngine = require('./policy-engine.js')
+const UnspentStore = require('./unspent-store.js')
+const PaymentUri = require('./payment-uri.js')
+const AddressValidator = require('./address-validator.js')
 const {
   BlockCounter,
   StateDb
@@ -38,6 +44,22 @@ class WalletPayBitcoin extends WalletPay {
   * @param {string} config.network - Blockchain network.
   * @param {number} [config.gapLimit=20] - Gap limit for scanning balances.
   * @param {number} [config.min_block_confirm=1] - Minimum number of block confirmations.
+  * @param {FeeEstimate} [config.fee_estimate] - Fee estimate source, used when fee rate is not passed.
+  * @param {number} [config.utxo_reservation_timeout=300000] - Time in ms before UTXO reserved for a transaction are released, if it is not broadcasted.
+  * @param {number} [config.dust_threshold=1000] - Incoming outputs below this value in sats are dust. They are not spent unless opted in. 0 disables.
+  * @param {string} [config.spend_unconfirmed=any] - Unconfirmed outputs that coin selection can spend: none, own-change or any.
+  * @param {number} [config.rebroadcast_interval=300000] - Time in ms between checks of sent transactions. Transactions missing from the server are rebroadcasted. 0 disables.
+  * @param {number} [config.track_confirmations=6] - Sent transactions are tracked until they have this many confirmations.
+  * @param {number} [config.max_fee_limit=100000] - Max fee rate in sats per vbyte.
+  * @param {Object} [config.policy] - Spending policy that payments must pass before they are broadcasted. Amounts are in sats.
+  * @param {number} [config.policy.max_amount] - Max amount spent by one transaction, including fee.
+  * @param {number} [config.policy.daily_limit] - Max amount spent in the last 24 hours, including fees.
+  * @param {Array<string>} [config.policy.allow] - Only these addresses can be paid.
+  * @param {Array<string>} [config.policy.deny] - These addresses can never be paid.
+  * @param {number} [config.policy.max_fee_ratio] - Max total fee divided by amount delivered to recipients.
+  * @param {function} [config.policy.approve] - Async approval hook called with the transaction. It is rejected unless the hook resolves true.
+  * @param {number} [config.policy.approve_timeout=60000] - Time in ms before the approval hook fails. Must be less than utxo_reservation_timeout.
+  * @param {Object} [config.policy.rules] - Custom rules. { name: async (tx) => reason to reject }
   * @throws {WalletPayError} If an invalid network is provided.
   */
   constructor (config) {
@@ -50,6 +72,16 @@ class WalletPayBitcoin extends WalletPay {
     this.ready = false
     this.currency = Bitcoin
     this.keyManager = config.key_manager || null
+    this._feeEstimate = config.fee_estimate || null
+    this._utxo_reservation_timeout = config.utxo_reservation_timeout
+    this._dust_threshold = config.dust_threshold
+    this._spend_unconfirmed = config.spend_unconfirmed
+    this._rebroadcast_interval = config.rebroadcast_interval
+    this._track_confirmations = config.track_confirmations
+    this._max_fee_limit = config.max_fee_limit
+    this._policy = config.policy ? this._newPolicy(config.policy) : null
+    // @desc: transactions that spend utxo are built one at a time
+    this._sendQueue = new SendQueue()
     // @desc: Only supported address type.
     this._addressType = 'p2wpkh'
     this.Currency = Bitcoin
@@ -60,6 +92,7 @@ class WalletPayBitcoin extends WalletPay {
    * @async
    */
   async _destroy () {
+    this._sendQueue.clear()
     await this.provider.close()
     await this._syncManager.close()
     await this.pauseSync()
@@ -126,7 +159,12 @@ class WalletPayBitcoin extends WalletPay {
       currentBlock: this.latest_block,
       minBlockConfirm: this.min_block_confirm,
       store: this.store,
-      addressType: this._addressType
+      addressType: this._addressType,
+      reservationTimeout: this._utxo_reservation_timeout,
+      dustThreshold: this._dust_threshold,
+      spendUnconfirmed: this._spend_unconfirmed,
+      rebroadcastInterval: this._rebroadcast_interval,
+      trackConfirmations: this._track_confirmations
     })
 
     this.block = new BlockCounter({ state: this.state })
@@ -166,6 +204,12 @@ class WalletPayBitcoin extends WalletPay {
     this._syncManager.on('new-tx', (...args) => {
       this.emit('new-tx', ...args)
     })
+    this._syncManager.on('dust-received', (...args) => {
+      this.emit('dust-received', ...args)
+    })
+    this._syncManager.on('tx-state', (...args) => {
+      this.emit('tx-state', ...args)
+    })
 
     return Promise.all([newBlock, electrum])
   }
@@ -193,6 +237,29 @@ class WalletPayBitcoin extends WalletPay {
     return this._getNewAddr({ inout: 'ext' })
   }
 
+  /**
+   * @description Get a new address and a BIP21 payment URI for it
+   * @param {Object} opts
+   * @param {number|string} [opts.amount] - amount to request
+   * @param {string} [opts.unit=main] - unit of amount: main or base
+   * @param {string} [opts.label] - label of the receiver
+   * @param {string} [opts.message] - message that describes the payment
+   * @returns {Promise<Object>} new address with uri
+   **/
+  async createPaymentUri (opts = {}) {
+    const addr = await this.getNewAddress()
+    return { ...addr, uri: PaymentUri.create({ ...opts, address: addr.address }) }
+  }
+
+  /**
+   * @description Parse a BIP21 payment URI
+   * @param {string} uri - bitcoin: URI
+   * @returns {Object} address, amount as Bitcoin, label, message and other params
+   **/
+  static parsePaymentUri (uri) {
+    return PaymentUri.parse(uri)
+  }
+
   /**
    * @description get an internal change  address
   **/
@@ -213,7 +280,8 @@ class WalletPayBitcoin extends WalletPay {
    * @description get balance of entire wallet or 1 address
    * @params {object} opts place holder, empty object
    * @param {string?} addr bitcoin address
-   * @returns {Balance} balance object
+   * @returns {Balance} balance object. frozen: value of frozen outputs, dust: value of dust outputs,
+   * immature: value of coinbase outputs with less than 100 confirmations, spendable: balance without them
   **/
   getBalance (opts, addr) {
     return this._syncManager.getBalance(addr)
@@ -243,30 +311,68 @@ class WalletPayBitcoin extends WalletPay {
     })
   }
 
-  // @desc send transaction
-  // @param {Object} opts - options
-  // @param {Object} outgoing - transaction details
-  // @param {String} outgoing.address - destination address
-  // @param {String} outgoing.amount - amount to send
-  // @param {String} outgoing.unit - unit of amount
-  // @param {String} outgoing.fee - fee to pay in sat/vbyte. example: 10,
-  sendTransaction (opts, outgoing) {
+  _newTransaction () {
+    return new Transaction({
+      network: this.network,
+      provider: this.provider,
+      keyManager: this.keyManager,
+      getInternalAddress: this._getInternalAddress.bind(this),
+      syncManager: this._syncManager,
+      maxFeeLimit: this._max_fee_limit,
+      policy: this._policy
+    })
+  }
+
+  _newPolicy (policy) {
+    // Approval runs in the send queue while utxo are reserved, it must end before the reservation expires
+    const approveTimeout = policy.approve_timeout ?? PolicyEngine.APPROVE_TIMEOUT
+    if (policy.approve && approveTimeout >= (this._utxo_reservation_timeout || UnspentStore.RESERVATION_TIMEOUT)) {
+      throw new WalletPayError('policy approve_timeout must be less than utxo_reservation_timeout')
+    }
+    return new PolicyEngine({
+      maxAmount: policy.max_amount,
+      dailyLimit: policy.daily_limit,
+      allow: policy.allow,
+      deny: policy.deny,
+      maxFeeRatio: policy.max_fee_ratio,
+      approve: policy.approve,
+      approveTimeout,
+      rules: policy.rules,
+      getSentTxList: () => this._syncManager.getSentTxList()
+    })
+  }
+
+  /**
+  * @description queue a task that builds a transaction. Tasks run one at a time.
+  * Utxo reserved by a failed task are released, so the next task can use them.
+  * @param {function} fn function that is called with Transaction instance
+  * @returns {Promise} result of fn. Has position() and cancel() of the queued task
+  */
+  _queueTx (fn) {
+    return this._sendQueue.push(async () => {
+      try {
+        return await fn(this._newTransaction())
+      } catch (err) {
+        await this._syncManager.unlockUtxo(false)
+        throw err
+      }
+    })
+  }
+
+  /**
+  * @description broadcast a transaction and resolve when it is seen in mempool or in a block.
+  * @param {function} send function that is called with Transaction instance and returns sent tx
+  * @returns {Promise} promise with broadcasted function that is called when the tx is broadcasted,
+  * position function that returns position in send queue and cancel function that removes a waiting send from queue
+  */
+  _broadcastTx (send) {
     let notify
+    const queued = this._queueTx(send)
     const p = new Promise((resolve, reject) => {
-      const tx = new Transaction({
-        network: this.network,
-        provider: this.provider,
-        keyManager: this.keyManager,
-        getInternalAddress: this._getInternalAddress.bind(this),
-        syncManager: this._syncManager
-      })
-
-      tx.send(outgoing).then((sent) => {
+      queued.then((sent) => {
         if (notify) notify(sent)
         this._syncManager.watchTxMempool(sent.txid)
-        this._syncManager.on('tx:mempool:' + sent.txid, () => {
-          resolve(sent)
-        })
+        this._syncManager.once('tx:mempool:' + sent.txid, () => resolve(sent))
       }).catch((err) => {
         reject(err)
       })
@@ -275,11 +381,191 @@ class WalletPayBitcoin extends WalletPay {
     p.broadcasted = (fn) => {
       notify = fn
     }
+    p.position = queued.position
+    p.cancel = queued.cancel
     return p
   }
 
+  // @desc send transaction
+  // @param {Object} opts - options
+  // @param {Object} outgoing - transaction details
+  // @param {String} outgoing.address - destination address or BIP21 bitcoin: URI. Amount of the URI is used when amount is not passed
+  // @param {String} outgoing.amount - amount to send. 'max' spends all spendable utxo, fee is subtracted from amount.
+  // @param {String} outgoing.unit - unit of amount
+  // @param {String} outgoing.fee - fee to pay in sat/vbyte. example: 10,
+  // @param {String} outgoing.data - data for OP_RETURN output. max 80 bytes
+  // @param {String} outgoing.dataEncoding - encoding of data: utf8 or hex. default utf8
+  // @param {String} outgoing.coinSelection - coin selection strategy. see CoinSelection.strategies
+  // @param {Array} outgoing.inputs - outpoints to spend, skips coin selection. ['txid:index']
+  // @param {Boolean} outgoing.privacy - spend all utxo of an address together and avoid linking addresses. change is put at a random position
+  // @param {Boolean} outgoing.includeDust - allow spending dust outputs. default false
+  // @param {String} outgoing.spendUnconfirmed - unconfirmed outputs that can be spent: none, own-change or any. default is wallet config
+  // @param {Boolean} outgoing.subtractFee - recipients pay the fee. fee is subtracted from amount instead of change
+  // @param {Array} outgoing.recipients - pay multiple recipients in one tx, instead of address and amount. [{ address, amount, unit }]
+  // @returns {Promise} Sends are queued and built one at a time. position() returns position in queue, 0 is building.
+  // cancel() removes a waiting send from the queue.
+  sendTransaction (opts, outgoing) {
+    return this._broadcastTx((tx) => tx.send(outgoing))
+  }
+
+  // @desc Estimate fee and preview a transaction without signing, broadcasting or locking UTXO.
+  // @param {Object} outgoing - transaction details, same as sendTransaction
+  // @returns {Promise<Object>} selected inputs, outputs, change, vSize, totalFee and feeRate
+  estimateTransaction (outgoing) {
+    return this._queueTx((tx) => tx.estimate(outgoing))
+  }
+
+  // @desc Bump fee of an unconfirmed sent transaction with replace-by-fee (BIP125)
+  // @param {String} txid - transaction id of a transaction sent by this wallet
+  // @param {Object} opts - options
+  // @param {Number} opts.feeRate - new fee rate in sat/vbyte. must be higher than the original
+  bumpFee (txid, opts = {}) {
+    return this._broadcastTx((tx) => tx.bumpFee(txid, opts))
+  }
+
+  // @desc Cancel an unconfirmed sent transaction by spending its inputs back to an internal address (BIP125)
+  // When the cancelling tx is broadcasted, the original is marked as cancelled and its mempool balance is removed.
+  // @param {String} txid - transaction id of a transaction sent by this wallet
+  // @param {Object} opts - options
+  // @param {Number} opts.feeRate - fee rate in sat/vbyte. must be higher than the original
+  cancelTransaction (txid, opts = {}) {
+    return this._broadcastTx((tx) => tx.cancel(txid, opts))
+  }
+
+  // @desc Accelerate an unconfirmed incoming transaction with child-pays-for-parent.
+  // Our outputs of the transaction are spent to an internal address with a fee that brings
+  // the effective fee rate of parent and child to the target fee rate.
+  // @param {String} txid - transaction id of an unconfirmed transaction paying to this wallet
+  // @param {Object} opts - options
+  // @param {Number} opts.feeRate - target fee rate of parent and child in sat/vbyte
+  accelerate (txid, opts = {}) {
+    return this._broadcastTx((tx) => tx.accelerate(txid, opts))
+  }
+
+  // @desc Create an unsigned PSBT for an outgoing transaction, for signing on another device or by co-signers.
+  // Selected UTXO are not reserved until the PSBT is broadcasted.
+  // @param {Object} outgoing - transaction details, same as sendTransaction
+  // @returns {Promise<Object>} transaction details. psbt: base64 encoded PSBT
+  createPsbt (outgoing) {
+    return this._queueTx((tx) => tx.createPsbt(outgoing))
+  }
+
+  // @desc Sign inputs of a PSBT that belong to this wallet's key manager
+  // @param {String} psbt - base64 encoded PSBT
+  // @returns {String} base64 encoded PSBT with signatures
+  signPsbt (psbt) {
+    return this._newTransaction().signPsbt(psbt)
+  }
+
+  // @desc Finalize a signed PSBT and broadcast it
+  // @param {String} psbt - base64 encoded PSBT with all signatures
+  // @returns {Promise<Object>} sent transaction, resolves when the tx is seen in mempool
+  finalizeAndBroadcast (psbt) {
+    return this._broadcastTx((tx) => tx.finalizeAndSend(psbt))
+  }
+
+  // @desc Consolidate small UTXO into one output at a new internal address, to save fees when fee rates are high.
+  // When feeRate is not passed, the economy fee rate of the fee estimate is used.
+  // The default fee estimate only has mainnet rates, other networks must pass feeRate or configure fee_estimate.
+  // @param {Object} opts - options
+  // @param {Number} opts.feeRate - fee rate in sat/vbyte
+  // @param {Number} opts.maxFeeRate - do not consolidate when the fee rate is above this threshold
+  // @param {Number} opts.maxInputs - max number of UTXO to consolidate. default 100
+  // @param {Number} opts.minValue - min value of UTXO to consolidate in sats
+  // @param {Boolean} opts.includeDust - sweep dust outputs too. default false
+  consolidate (opts = {}) {
+    return this._broadcastTx(async (tx) => {
+      const feeRate = opts.feeRate || await this._economyFeeRate()
+      if (opts.maxFeeRate && feeRate > opts.maxFeeRate) {
+        throw new Error('Fee rate ' + feeRate + ' is above consolidation threshold ' + opts.maxFeeRate)
+      }
+      return tx.consolidate({ ...opts, feeRate })
+    })
+  }
+
+  // @desc economy fee rate of the fee estimate. mempool.space is used by default on mainnet
+  async _economyFeeRate () {
+    if (!this._feeEstimate) {
+      if (!['bitcoin', 'mainnet'].includes(this.network)) {
+        throw new WalletPayError('feeRate is required on ' + this.network + ' when fee_estimate is not configured')
+      }
+      this._feeEstimate = new FeeEstimate({})
+    }
+    const estimate = await this._feeEstimate.getEstimate()
+    return estimate.economyFee
+  }
+
+  // @desc Sweep all funds of an external private key, like a paper wallet, to a new address of this wallet.
+  // Unspent outputs of the key's p2pkh, p2sh-p2wpkh and p2wpkh addresses are spent in one transaction.
+  // @param {String} wif - private key in WIF format
+  // @param {Object} opts - options
+  // @param {Number} opts.feeRate - fee rate in sat/vbyte
+  // @returns {Promise<Object>} sweep transaction, resolves when the tx is seen in mempool
+  sweepPrivateKey (wif, opts = {}) {
+    return this._broadcastTx((tx) => tx.sweepKey(wif, { feeRate: opts.feeRate, getAddress: () => this.getNewAddress() }))
+  }
+
+  // @desc List unspent outputs of the wallet, for reconciliation and coin control
+  // @param {Object} opts - filters
+  // @param {Number} opts.minConf - min number of confirmations. default 0
+  // @param {Number} opts.maxConf - max number of confirmations
+  // @param {String} opts.address - only list outputs of this address
+  // @param {Number} opts.minValue - min value in sats
+  // @param {Boolean} opts.includeLocked - include outputs that are reserved for a tx or frozen. default false
+  // @returns {Promise<Array>} outputs with point, txid, index, value, address, path, height, confirmations, locked and frozen
+  listUnspent (opts = {}) {
+    return this._syncManager.listUnspent(opts)
+  }
+
+  // @desc Freeze an unspent output so coin selection never spends it.
+  // For suspected dust attack outputs or funds under review. Frozen outputs are saved and reported in getBalance as frozen.
+  // @param {String} point - outpoint. format: txid:index
+  freezeUtxo (point) {
+    return this._syncManager.freezeUtxo(point)
+  }
+
+  // @desc Unfreeze an output so it can be spent again
+  // @param {String} point - outpoint. format: txid:index
+  unfreezeUtxo (point) {
+    return this._syncManager.unfreezeUtxo(point)
+  }
+
+  // @desc List frozen outputs that are not spent
+  // @returns {Promise<Array>} list of outputs with txid, index, value and address
+  listFrozen () {
+    return this._syncManager.listFrozen()
+  }
+
+  // @desc Add a rule to the spending policy. Enables the policy if the wallet was created without one.
+  // @param {String} name - name of rule, used in rejection errors
+  // @param {Function} fn - async function called with the transaction. Returns reason to reject or nothing to pass
+  addPolicyRule (name, fn) {
+    if (!this._policy) this._policy = this._newPolicy({})
+    this._policy.addRule(name, fn)
+  }
+
+  // @desc Get a sent transaction with its lifecycle state
+  // @param {String} txid - transaction id
+  // @returns {Promise<Object>} sent transaction. status is one of created, broadcast, in-mempool, confirmed, dropped or replaced.
+  // status_history lists every state change with timestamp
+  getSentTransaction (txid) {
+    return this._syncManager.getSentTx(txid)
+  }
+
+  // @desc Check if an address is valid for the wallet network. Validation is offline
+  // @param {Object} opts - options
+  // @param {String} address - address to check. Can also be passed as the only argument
+  // @returns {Boolean} true if address is valid
   isValidAddress (opts, address) {
-    return this._makeRequest('blockchain.address.get_balance', [address])
+    if (typeof opts === 'string') address = opts
+    return AddressValidator.validate(address, this.network).valid
+  }
+
+  // @desc Validate an address offline and detect its type: checksum, network and script type
+  // @param {String} address - address to validate
+  // @returns {Object} valid flag, type (p2pkh, p2sh, p2wpkh, p2wsh or p2tr) when valid, error when invalid
+  validateAddress (address) {
+    return AddressValidator.validate(address, this.network)
   }
 
   static parsePath (path) {
@@ -0,0 +1,56 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const AddressValidator = require('../src/address-validator.js')
+
+test('Address validation', async (t) => {
+  test('detect address type', async (t) => {
+    const vectors = [
+      ['1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', 'bitcoin', 'p2pkh'],
+      ['3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy', 'mainnet', 'p2sh'],
+      ['bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq', 'bitcoin', 'p2wpkh'],
+      ['bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3', 'bitcoin', 'p2wsh'],
+      ['bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297', 'bitcoin', 'p2tr'],
+      ['mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn', 'testnet', 'p2pkh'],
+      ['tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx', 'signet', 'p2wpkh'],
+      ['bcrt1qxeyapzy3ylv67qnxjtwx8npd8ypjkuy8xstu0m', 'regtest', 'p2wpkh']
+    ]
+    for (const [address, network, type] of vectors) {
+      const res = AddressValidator.validate(address, network)
+      t.ok(res.valid && res.type === type, type + ' on ' + network)
+    }
+  })
+
+  test('reject invalid address', async (t) => {
+    const invalid = [
+      ['bcrt1qxeyapzy3ylv67qnxjtwx8npd8ypjkuy8xstu0m', 'bitcoin', 'not for this network'],
+      ['1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', 'regtest', 'not for this network'],
+      ['bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdr', 'bitcoin', 'checksum'],
+      ['1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3', 'bitcoin', 'checksum'],
+      // Witness v1 with bech32 checksum instead of bech32m
+      ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd', 'bitcoin', 'checksum'],
+      ['', 'bitcoin', 'must be a string']
+    ]
+    for (const [address, network, error] of invalid) {
+      const res = AddressValidator.validate(address, network)
+      t.ok(!res.valid && res.error.includes(error), error + ': ' + address)
+    }
+    t.exception(() => AddressValidator.validate('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq', 'litecoin'), /Invalid network/, 'rejects unknown network')
+  })
+
+  test('normalise address', async (t) => {
+    t.is(AddressValidator.normalise('BC1QAR0SRRR7XFKVY5L643LYDNW9RE59GTZZWF5MDQ'), 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq', 'bech32 is lowercased')
+    t.is(AddressValidator.normalise('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'), '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', 'base58 is not changed')
+  })
+})
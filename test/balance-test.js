@@ -16,6 +16,7 @@
 const { test, solo } = require('brittle')
 const { Balance }  = require('../src/address-manager')
 const Bitcoin = require('../src/currency')
+const TotalBalance = require('../src/total-balance')
 
 test('Balance - constructor initializes correctly', (t) => {
   const balance = new Balance(100, 50, 25)
@@ -294,3 +295,22 @@ test('Balance - moving transaction to the same state', (t) => {
   t.ok(balance.confirmed.toMainUnit() === '50', 'Confirmed balance should still be 50')
   t.ok(balance.txid.confirmed.length === 1, 'Confirmed txid list should still have 1 transaction')
 })
+
+test('TotalBalance - immature coinbase outputs', async (t) => {
+  const blockHeight = { current: 150 }
+  const state = { getTotalBalance: async () => null, setTotalBalance: async () => {} }
+  const total = new TotalBalance({ state, getBlockHeight: () => blockHeight.current })
+  await total.init()
+
+  const coinbase = { value: new Bitcoin(50, 'main'), tx_height: 100, coinbase: true }
+  await total.addTxId('out', 'confirmed', coinbase, 'cb:0')
+  await total.addTxId('out', 'confirmed', { value: new Bitcoin(1, 'main'), tx_height: 100 }, 'tx:0')
+  t.ok(total.getImmatureBalance().toMainUnit() === '50', 'coinbase output is immature')
+
+  blockHeight.current = 199
+  t.ok(total.getImmatureBalance().toMainUnit() === '0', 'coinbase output matures after 100 confirmations')
+
+  blockHeight.current = 150
+  await total.addTxId('in', 'mempool', { value: coinbase.value }, 'cb:0')
+  t.ok(total.getImmatureBalance().toMainUnit() === '0', 'spent coinbase output is not immature')
+})
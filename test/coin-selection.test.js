@@ -0,0 +1,76 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const CoinSelection = require('../src/coin-selection.js')
+const Btc = require('../src/currency.js')
+
+function utxo (sats, height) {
+  return { txid: 'tx' + sats, index: 0, value: new Btc(sats, 'base'), tx_height: height }
+}
+
+const values = (list) => list.map((u) => +u.value.toBaseUnit())
+
+test('Coin selection strategies', async (t) => {
+  const set = [utxo(10000, 5), utxo(50000, 1), utxo(20000, 0), utxo(30000, 3), utxo(1000, 2)]
+
+  test('small-to-large', async (t) => {
+    const res = CoinSelection.select('small-to-large', set, 45000, { feeRate: 2 })
+    t.alike(values(res), [1000, 10000, 20000, 30000], 'selects smallest utxo first')
+  })
+
+  test('largest-first', async (t) => {
+    const res = CoinSelection.select('largest-first', set, 45000, { feeRate: 2 })
+    t.alike(values(res), [50000], 'selects largest utxo first')
+  })
+
+  test('oldest-first', async (t) => {
+    const res = CoinSelection.select('oldest-first', set, 55000, { feeRate: 2 })
+    t.alike(values(res), [50000, 1000, 30000], 'selects by height, mempool last')
+  })
+
+  test('single-random-draw', async (t) => {
+    const res = CoinSelection.select('single-random-draw', set, 45000, { feeRate: 2 })
+    const total = values(res).reduce((a, b) => a + b, 0)
+    t.ok(total >= 45000, 'selection covers amount')
+  })
+
+  test('branch-and-bound', async (t) => {
+    const res = CoinSelection.select('branch-and-bound', [utxo(49300, 1), utxo(60000, 1)], 49000, { feeRate: 2 })
+    t.alike(values(res), [49300], 'finds changeless solution')
+    const fallback = CoinSelection.select('branch-and-bound', set, 45000, { feeRate: 2 })
+    t.alike(values(fallback), [50000], 'falls back to selection with change')
+  })
+
+  test('privacy', async (t) => {
+    const addr = (u, path) => ({ ...u, txid: u.txid + path, address_path: path })
+    const pool = [
+      addr(utxo(30000, 1), 'a'), addr(utxo(1000, 1), 'a'),
+      addr(utxo(50000, 1), 'b'), addr(utxo(20000, 1), 'b'),
+      addr(utxo(40000, 1), 'c')
+    ]
+    const single = CoinSelection.select('privacy', pool, 25000, { feeRate: 2 })
+    t.alike(values(single), [30000, 1000], 'spends all utxo of the smallest address that pays')
+    const linked = CoinSelection.select('privacy', pool, 100000, { feeRate: 2 })
+    t.alike(values(linked), [50000, 20000, 40000], 'links as few addresses as possible')
+  })
+
+  test('fee cost of inputs', async (t) => {
+    const res = CoinSelection.select('largest-first', [utxo(600, 1), utxo(5000, 1)], 4000, { feeRate: 10 })
+    t.is(res, null, 'utxo that cost more to spend than their value are not used')
+  })
+
+  test('unknown strategy', async (t) => {
+    t.exception(() => CoinSelection.select('nope', set, 1000), /Unknown coin selection strategy/)
+  })
+})
@@ -0,0 +1,47 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const { EventEmitter } = require('events')
+const FeeEstimate = require('../src/fee-estimate.js')
+
+function http (respond) {
+  return {
+    request (options, cb) {
+      const req = new EventEmitter()
+      req.end = () => respond(req, cb)
+      return req
+    }
+  }
+}
+
+test('FeeEstimate: returns fee rates from server', async (t) => {
+  const fees = { fastestFee: 20, economyFee: 3 }
+  const estimate = new FeeEstimate({
+    http: http((req, cb) => {
+      const res = new EventEmitter()
+      cb(res)
+      res.emit('data', JSON.stringify(fees))
+      res.emit('end')
+    })
+  })
+  t.alike(await estimate.getEstimate(), fees, 'fee rates are parsed')
+})
+
+test('FeeEstimate: request error rejects', async (t) => {
+  const estimate = new FeeEstimate({
+    // Request errors are emitted after the request is sent
+    http: http((req) => setImmediate(() => req.emit('error', new Error('getaddrinfo ENOTFOUND mempool.space'))))
+  })
+  await t.exception(() => estimate.getEstimate(), /Failed to get fee estimate: getaddrinfo ENOTFOUND/, 'request error is a rejection')
+})
@@ -0,0 +1,67 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const PaymentUri = require('../src/payment-uri.js')
+
+const ADDR = 'bcrt1qxeyapzy3ylv67qnxjtwx8npd8ypjkuy8xstu0m'
+
+test('BIP21 payment uri', async (t) => {
+  test('parse', async (t) => {
+    const res = PaymentUri.parse('bitcoin:' + ADDR + '?amount=0.0105&label=Luke-Jr&message=Donation%20for%20project%20xyz&somethingyoudontunderstand=50')
+    t.is(res.address, ADDR, 'address is parsed')
+    t.is(res.amount.toBaseUnit(), '1050000', 'amount is parsed as Bitcoin')
+    t.is(res.label, 'Luke-Jr', 'label is parsed')
+    t.is(res.message, 'Donation for project xyz', 'message is decoded')
+    t.alike(res.params, { somethingyoudontunderstand: '50' }, 'unknown params are kept')
+
+    const plain = PaymentUri.parse('BITCOIN:' + ADDR)
+    t.is(plain.address, ADDR, 'scheme is case insensitive')
+    t.is(plain.amount, undefined, 'amount is optional')
+
+    const encoded = PaymentUri.parse('bitcoin:' + ADDR + '?label=A+B&message=C%20D%2BE&flag')
+    t.is(encoded.label, 'A+B', 'plus is not decoded as space')
+    t.is(encoded.message, 'C D+E', 'percent encoding is decoded')
+    t.alike(encoded.params, { flag: '' }, 'param without value is kept')
+  })
+
+  test('reject invalid uri', async (t) => {
+    const invalid = {
+      [ADDR]: 'must start with bitcoin:',
+      'bitcoin:?amount=1': 'missing address',
+      ['bitcoin:' + ADDR + '?amount=1,5']: 'Invalid payment uri amount',
+      ['bitcoin:' + ADDR + '?amount=0.000000001']: 'Invalid payment uri amount',
+      ['bitcoin:' + ADDR + '?amount=0']: 'Invalid payment uri amount',
+      ['bitcoin:' + ADDR + '?amount=1&amount=2']: 'duplicate parameter',
+      ['bitcoin:' + ADDR + '?req-somethingyoudontunderstand=50']: 'Unsupported required parameter',
+      ['bitcoin:' + ADDR + '?label=100%']: 'malformed parameter'
+    }
+    for (const [uri, msg] of Object.entries(invalid)) {
+      try {
+        PaymentUri.parse(uri)
+        t.fail('should reject ' + uri)
+      } catch (err) {
+        t.ok(err.message.includes(msg), msg)
+      }
+    }
+  })
+
+  test('create', async (t) => {
+    t.is(PaymentUri.create({ address: ADDR }), 'bitcoin:' + ADDR, 'uri without params')
+    const uri = PaymentUri.create({ address: ADDR, amount: 1, unit: 'base', label: 'Shop & Co', message: 'Order 1' })
+    t.is(uri, 'bitcoin:' + ADDR + '?amount=0.00000001&label=Shop%20%26%20Co&message=Order%201', 'amount is in btc and params are encoded')
+    const res = PaymentUri.parse(uri)
+    t.is(res.amount.toBaseUnit(), '1', 'created uri can be parsed')
+    t.is(res.label, 'Shop & Co', 'label round trips')
+  })
+})
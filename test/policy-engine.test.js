@@ -0,0 +1,145 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const PolicyEngine = require('../src/policy-engine.js')
+
+function payment (address, amount, fee = 500) {
+  return {
+    txid: 'tx' + amount,
+    recipients: [{ address, amount }],
+    deliveredAmount: amount,
+    totalFee: fee,
+    totalSpent: amount + fee
+  }
+}
+
+function sentTx (totalSpent, ago, opts = {}) {
+  return {
+    txid: 'sent' + totalSpent,
+    totalSpent,
+    policy_checked: true,
+    status: 'confirmed',
+    status_history: [{ state: 'created', ts: Date.now() - ago }],
+    ...opts
+  }
+}
+
+async function rejects (t, engine, tx, match, msg) {
+  try {
+    await engine.check(tx)
+    t.fail(msg)
+  } catch (err) {
+    t.ok(err.message.includes(match), msg)
+  }
+}
+
+test('Spending policy', async (t) => {
+  const HOUR = 60 * 60 * 1000
+  const sent = [
+    sentTx(30000, HOUR),
+    sentTx(20000, 2 * HOUR, { replaced_by: 'bump' }),
+    sentTx(40000, 25 * HOUR),
+    sentTx(50000, HOUR, { status: 'dropped' }),
+    sentTx(60000, HOUR, { policy_checked: false })
+  ]
+  const getSentTxList = async () => sent
+
+  test('per transaction and daily limits', async (t) => {
+    const engine = new PolicyEngine({ maxAmount: 50000, dailyLimit: 60000, getSentTxList })
+    t.is(await engine.spentToday(), 30000, 'only counts active payments of last 24 hours')
+    await engine.check(payment('addr1', 20000))
+    await rejects(t, engine, payment('addr1', 60000), 'maxAmount', 'rejects amount above per transaction limit')
+    await rejects(t, engine, payment('addr1', 30000), 'dailyLimit', 'rejects amount above daily limit')
+    const bump = { ...payment('addr1', 40000), replaces: 'sent30000' }
+    await engine.check(bump)
+    t.pass('replaced transaction is not counted twice')
+  })
+
+  test('allow and deny lists', async (t) => {
+    const allow = new PolicyEngine({ allow: ['addr1'], getSentTxList })
+    await allow.check(payment('addr1', 10000))
+    await rejects(t, allow, payment('addr2', 10000), 'allow list', 'rejects destination not in allow list')
+
+    const deny = new PolicyEngine({ deny: ['addr2'], getSentTxList })
+    await deny.check(payment('addr1', 10000))
+    await rejects(t, deny, payment('addr2', 10000), 'deny list', 'rejects destination in deny list')
+
+    const bech32 = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'
+    const denyBech32 = new PolicyEngine({ deny: [bech32], getSentTxList })
+    await rejects(t, denyBech32, payment(bech32.toUpperCase(), 10000), 'deny list', 'rejects upper case form of denied address')
+    const denyUpper = new PolicyEngine({ deny: [bech32.toUpperCase()], getSentTxList })
+    await rejects(t, denyUpper, payment(bech32, 10000), 'deny list', 'deny list entries are normalised')
+    const allowBech32 = new PolicyEngine({ allow: [bech32], getSentTxList })
+    await allowBech32.check(payment(bech32.toUpperCase(), 10000))
+    t.pass('upper case form of allowed address passes')
+  })
+
+  test('max fee ratio', async (t) => {
+    const engine = new PolicyEngine({ maxFeeRatio: 0.1, getSentTxList })
+    await engine.check(payment('addr1', 10000, 1000))
+    await rejects(t, engine, payment('addr1', 10000, 1001), 'maxFeeRatio', 'rejects fee above ratio')
+  })
+
+  test('approval hook and custom rules', async (t) => {
+    const approved = []
+    const engine = new PolicyEngine({
+      approve: async (tx) => {
+        approved.push(tx.txid)
+        return tx.deliveredAmount < 50000
+      },
+      rules: {
+        business: (tx) => tx.recipients.length > 1 && 'single recipient only'
+      },
+      getSentTxList
+    })
+    await engine.check(payment('addr1', 10000))
+    t.alike(approved, ['tx10000'], 'approval hook is called with tx')
+    await rejects(t, engine, payment('addr1', 60000), 'not approved', 'rejects when hook does not approve')
+
+    const multi = payment('addr1', 10000)
+    multi.recipients.push({ address: 'addr2', amount: 1000 })
+    await rejects(t, engine, multi, 'business', 'custom rule rejects tx')
+    t.is(approved.length, 2, 'hook is not called when a rule rejects')
+
+    engine.addRule('weekday', () => 'closed')
+    await rejects(t, engine, payment('addr1', 10000), 'weekday', 'rule can be added later')
+  })
+
+  test('approval hook timeout', async (t) => {
+    const slow = new PolicyEngine({ approve: () => new Promise(() => {}), approveTimeout: 20, getSentTxList })
+    await rejects(t, slow, payment('addr1', 10000), 'timed out after 20 ms', 'rejects when hook does not resolve in time')
+    t.is(PolicyEngine.APPROVE_TIMEOUT, 60000, 'default timeout is below utxo reservation timeout')
+  })
+
+  test('invalid config', async (t) => {
+    try {
+      new PolicyEngine({ allow: 'addr1' }) // eslint-disable-line no-new
+      t.fail('should reject allow list that is not an array')
+    } catch (err) {
+      t.ok(err.message.includes('list of addresses'), 'allow must be a list')
+    }
+    try {
+      new PolicyEngine({ maxAmount: -1 }) // eslint-disable-line no-new
+      t.fail('should reject negative limit')
+    } catch (err) {
+      t.ok(err.message.includes('Invalid policy maxAmount'), 'limits must be positive')
+    }
+    try {
+      new PolicyEngine({ approveTimeout: 0 }) // eslint-disable-line no-new
+      t.fail('should reject approve timeout of 0')
+    } catch (err) {
+      t.ok(err.message.includes('Invalid policy approveTimeout'), 'approve timeout must be positive')
+    }
+  })
+})
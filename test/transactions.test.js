@@ -18,6 +18,7 @@ const {
   pause,
   BitcoinCurrency
 } = require('./test-helpers.js')
+const bitcoin = require('bitcoinjs-lib')
 
 test.test('sendTransaction', { timeout: 600000 }, async function (t) {
   t.test('create transaction, mine and compare result with electrum', async function (t) {
@@ -217,6 +218,824 @@ test.test('perform 2 transactions from 1 utxo before confirmation. Spending from
   await btcPay.destroy()
 })
 
+test.test('estimate transaction fee without sending', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const data = { address: nodeAddr, amount: 0.01, unit: 'main', fee: 10 }
+  const est = await btcPay.estimateTransaction(data)
+  t.ok(est.inputs.length === 1, 'selected inputs')
+  t.ok(est.outputs[0].address === nodeAddr, 'recipient output')
+  t.ok(est.change === 10000000 - 1000000 - est.totalFee, 'change amount')
+  t.ok(est.totalFee === est.vSize * 10, 'fee is fee rate times size')
+
+  const est2 = await btcPay.estimateTransaction(data)
+  t.ok(est2.inputs[0].txid === est.inputs[0].txid, 'utxo are not locked after estimate')
+
+  const res = await btcPay.sendTransaction({}, data)
+  t.ok(res.totalFee === est.totalFee, 'estimated fee matches sent fee')
+  await btcPay.destroy()
+})
+
+test.test('coin control: spend caller chosen utxo', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  const { result: fundTx } = await regtest.sendToAddress({ address: addr.address, amount: 0.05 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const tx = await btcPay.provider.getTransaction(fundTx)
+  const out = tx.out.find((o) => o.address === addr.address)
+  const point = `${fundTx}:${out.index}`
+
+  const res = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 10, inputs: [point] })
+  t.ok(res.utxo.length === 1, 'only chosen utxo is spent')
+  t.ok(`${res.utxo[0].txid}:${res.utxo[0].index}` === point, 'chosen utxo is spent')
+
+  const errors = [
+    [['abc:0'], 'Invalid outpoint'],
+    [[point], 'already spent'],
+    [[`${'0'.repeat(64)}:0`], 'not found']
+  ]
+  for (const [inputs, msg] of errors) {
+    try {
+      await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 10, inputs })
+      t.fail('should reject inputs ' + inputs)
+    } catch (err) {
+      t.ok(err.message.includes(msg), 'rejected: ' + msg)
+    }
+  }
+  await btcPay.destroy()
+})
+
+test.test('consolidate small utxo into one output', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  t.comment('sending small utxo to wallet')
+  for (let i = 0; i < 4; i++) {
+    await regtest.sendToAddress({ address: addr.address, amount: 0.001 })
+  }
+  await regtest.sendToAddress({ address: addr.address, amount: 0.5 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  try {
+    await btcPay.consolidate({})
+    t.fail('should not use mainnet fee estimate on regtest')
+  } catch (err) {
+    t.ok(err.message.includes('feeRate is required'), 'fee rate is required without fee estimate on regtest')
+  }
+
+  try {
+    await btcPay.consolidate({ feeRate: 20, maxFeeRate: 10 })
+    t.fail('should not consolidate above threshold')
+  } catch (err) {
+    t.ok(err.message.includes('above consolidation threshold'), 'fee rate above threshold is rejected')
+  }
+
+  const res = await btcPay.consolidate({ feeRate: 2, minValue: 1000, maxInputs: 3 })
+  t.ok(res.utxo.length === 3, 'consolidated max inputs')
+  t.ok(res.utxo.every((u) => +u.value.toBaseUnit() === 100000), 'smallest utxo are consolidated')
+  t.ok(res.recipients.length === 1, 'one output')
+  t.ok(res.recipients[0].address === res.changeAddress.address, 'output is an internal address')
+  await btcPay.destroy()
+})
+
+test.test('privacy mode spends utxo of one address together', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addrA = await btcPay.getNewAddress()
+  const addrB = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to two addresses')
+  await regtest.sendToAddress({ address: addrA.address, amount: 0.01 })
+  await regtest.sendToAddress({ address: addrA.address, amount: 0.02 })
+  await regtest.sendToAddress({ address: addrB.address, amount: 0.5 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  const res = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.015, unit: 'main', fee: 5, privacy: true })
+  t.ok(res.utxo.length === 2, 'all utxo of the address are spent')
+  t.ok(res.utxo.every((u) => u.address === addrA.address), 'addresses are not linked')
+  t.ok(res.privacy, 'tx is marked as privacy mode')
+  await btcPay.destroy()
+})
+
+test.test('utxo reservations are saved and keyed by outpoint', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  const unspent = btcPay._syncManager._unspent
+  const sel = await btcPay._syncManager.utxoForAll()
+  const points = sel.utxo.map((u) => `${u.txid}:${u.index}`)
+  t.ok(sel.reservation, 'selection has a reservation id')
+  const saved = await unspent.store.get('utxo_lock')
+  t.ok(points.every((pt) => saved[pt].id === sel.reservation), 'reservation is saved by outpoint')
+  t.ok(points.every((pt) => saved[pt].expiry > Date.now()), 'reservation has expiry')
+
+  t.comment('simulate restart before broadcast')
+  unspent._reservationId = null
+  unspent.ready = true
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 5 })
+    t.fail('reserved utxo should not be spent')
+  } catch (err) {
+    t.ok(err.message.includes('Insufficient funds'), 'reserved utxo are not selected')
+  }
+
+  await unspent.unlock(false, sel.reservation)
+  t.ok(unspent.getReservations().length === 0, 'reservation is released')
+  const res = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 5 })
+  t.ok(res.txid, 'released utxo can be spent')
+  await btcPay.destroy()
+})
+
+test.test('parallel sends are queued', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  for (let i = 0; i < 3; i++) {
+    await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  }
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  const send = () => btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 5 })
+  const sends = [send(), send(), send()]
+  t.alike(sends.map((p) => p.position()), [0, 1, 2], 'sends wait for their turn')
+
+  t.ok(sends[2].cancel(), 'waiting send is cancelled')
+  t.ok(!sends[0].cancel(), 'building send is not cancelled')
+  try {
+    await sends[2]
+    t.fail('cancelled send should reject')
+  } catch (err) {
+    t.ok(err.message.includes('Send cancelled'), 'cancelled send rejects')
+  }
+
+  const [tx1, tx2] = await Promise.all(sends.slice(0, 2))
+  t.ok(tx1.txid && tx2.txid && tx1.txid !== tx2.txid, 'queued sends are sent')
+  const points = [...tx1.utxo, ...tx2.utxo].map((u) => `${u.txid}:${u.index}`)
+  t.ok(new Set(points).size === points.length, 'sends do not spend the same utxo')
+  await btcPay.destroy()
+})
+
+test.test('frozen utxo are not spent', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const { result: fundTx } = await regtest.sendToAddress({ address: addr.address, amount: 0.2 })
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const tx = await btcPay.provider.getTransaction(fundTx)
+  const out = tx.out.find((o) => o.address === addr.address)
+  const point = `${fundTx}:${out.index}`
+
+  await btcPay.freezeUtxo(point)
+  const frozen = await btcPay.listFrozen()
+  t.ok(frozen.length === 1 && `${frozen[0].txid}:${frozen[0].index}` === point, 'utxo is frozen')
+  const bal = await btcPay.getBalance({})
+  t.ok(bal.frozen.toMainUnit() === '0.2', 'frozen value is reported')
+  t.ok(bal.spendable.toMainUnit() === bal.consolidated.minus(bal.frozen).toMainUnit(), 'spendable value excludes frozen')
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.15, unit: 'main', fee: 5 })
+    t.fail('frozen utxo should not be spent')
+  } catch (err) {
+    t.ok(err.message.includes('insufficient funds'), 'frozen utxo is not selected')
+  }
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 5, inputs: [point] })
+    t.fail('frozen utxo should not be spent')
+  } catch (err) {
+    t.ok(err.message.includes('frozen'), 'frozen utxo can not be chosen')
+  }
+
+  await btcPay.unfreezeUtxo(point)
+  t.ok((await btcPay.listFrozen()).length === 0, 'utxo is unfrozen')
+  const res = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.15, unit: 'main', fee: 5 })
+  t.ok(res.utxo.some((u) => `${u.txid}:${u.index}` === point), 'unfrozen utxo is spent')
+  await btcPay.destroy()
+})
+
+test.test('list unspent outputs with filters', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const addr2 = await btcPay.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+  await regtest.sendToAddress({ address: addr2.address, amount: 0.02 })
+  await btcPay._onNewTx()
+
+  const all = await btcPay.listUnspent()
+  t.ok(all.length === 2, 'lists all unspent outputs')
+  const [confirmed] = all.filter((u) => u.address === addr.address)
+  t.ok(confirmed.point === `${confirmed.txid}:${confirmed.index}`, 'entry has outpoint')
+  t.ok(confirmed.path === addr.path, 'entry has path')
+  t.ok(confirmed.confirmations >= 2, 'entry has confirmations')
+  t.ok(!confirmed.locked && !confirmed.frozen, 'entry has lock state')
+
+  t.ok((await btcPay.listUnspent({ minConf: 1 })).length === 1, 'filter by min confirmations')
+  t.ok((await btcPay.listUnspent({ maxConf: 0 })).length === 1, 'filter by max confirmations')
+  t.ok((await btcPay.listUnspent({ address: addr2.address }))[0].address === addr2.address, 'filter by address')
+  t.ok((await btcPay.listUnspent({ minValue: 5000000 })).length === 1, 'filter by value')
+
+  await btcPay.freezeUtxo(confirmed.point)
+  t.ok((await btcPay.listUnspent()).length === 1, 'frozen outputs are not listed')
+  const withLocked = await btcPay.listUnspent({ includeLocked: true })
+  t.ok(withLocked.find((u) => u.point === confirmed.point).frozen, 'frozen state is listed')
+  await btcPay.destroy()
+})
+
+test.test('dust outputs are kept out of coin selection', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const dustEvent = new Promise((resolve) => btcPay.once('dust-received', resolve))
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await regtest.sendToAddress({ address: addr.address, amount: 0.05 })
+  const { result: dustTx } = await regtest.sendToAddress({ address: addr.address, amount: 0.000006 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  const dust = await dustEvent
+  t.ok(dust.txid === dustTx, 'dust-received event is emitted')
+  const bal = await btcPay.getBalance({})
+  t.ok(bal.dust.toBaseUnit() === '600', 'dust is counted separately')
+  t.ok(bal.spendable.toMainUnit() === bal.consolidated.minus(bal.dust).toMainUnit(), 'spendable value excludes dust')
+
+  const res = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 2, coinSelection: 'small-to-large' })
+  t.ok(res.utxo.every((u) => u.txid !== dustTx), 'dust is not spent by default')
+
+  t.comment('small payment to own address after sent transactions are lost')
+  const ownAddr = await btcPay.getNewAddress()
+  const own = await btcPay.sendTransaction({}, { address: ownAddr.address, amount: 600, unit: 'base', fee: 2 })
+  const ownTx = await btcPay.provider.getTransaction(own.txid, { cache: false })
+  await btcPay._syncManager._addr.outgoings.delete(own.txid)
+  const ownOut = ownTx.out.find((out) => out.address === ownAddr.address)
+  t.ok(!(await btcPay._syncManager._isDust(ownOut, ownTx.in)), 'output of tx spending our utxo is not dust')
+
+  const sweep = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 'max', fee: 1, includeDust: true })
+  t.ok(sweep.utxo.some((u) => u.txid === dustTx), 'dust is spent when opted in')
+  await btcPay.destroy()
+})
+
+test.test('batch payment to multiple recipients in one transaction', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  const recipients = []
+  for (let i = 0; i < 3; i++) {
+    const { result: nodeAddr } = await regtest.getNewAddress()
+    recipients.push({ address: nodeAddr, amount: 1000 * (i + 1), unit: 'base' })
+  }
+  const res = await btcPay.sendTransaction({}, { recipients, fee: 10 })
+  t.ok(res.recipients.length === recipients.length, 'result has breakdown for each recipient')
+  t.ok(res.vout.length === recipients.length + 1, 'one output per recipient and change')
+  const total = recipients.reduce((sum, r) => sum + r.amount, 0)
+  t.ok(res.totalSpent === total + res.totalFee, 'total spent is sum of amounts and fee')
+
+  const eTx = await btcPay.provider._getTransaction(res.txid)
+  res.recipients.forEach((r, i) => {
+    const eOut = eTx.vout[r.index]
+    t.ok(eOut.scriptPubKey.address === recipients[i].address, 'recipient address matches')
+    t.ok(new BitcoinCurrency(eOut.value, 'main').eq(new BitcoinCurrency(recipients[i].amount, 'base')), 'recipient amount matches')
+  })
+
+  try {
+    await btcPay.sendTransaction({}, { recipients: [recipients[0], { address: recipients[1].address, amount: 100, unit: 'base' }], fee: 10 })
+    t.fail('should reject dust recipient')
+  } catch (err) {
+    t.ok(err.message.includes('dust limit'), 'dust recipient rejected')
+  }
+  await btcPay.destroy()
+})
+
+test.test('send to taproot address', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  const xOnly = '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798'
+  const p2tr = bitcoin.address.toBech32(Buffer.from(xOnly, 'hex'), 1, 'bcrt')
+  t.ok(btcPay.validateAddress(p2tr).type === 'p2tr', 'address is p2tr')
+  const res = await btcPay.sendTransaction({}, { address: p2tr, amount: 0.01, unit: 'main', fee: 2 })
+  const eTx = await btcPay.provider._getTransaction(res.txid)
+  t.ok(eTx.vout.some((out) => out.scriptPubKey.hex === '5120' + xOnly), 'taproot output is paid')
+  await btcPay.destroy()
+})
+
+test.test('branch and bound selection is sent without change', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await regtest.sendToAddress({ address: addr.address, amount: 0.001 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  // 100000 sats utxo pays 99700 and the fee, with a leftover below the change cost
+  const recipients = [{ address: nodeAddr, amount: 99700, unit: 'base' }]
+  const res = await btcPay.sendTransaction({}, { recipients, fee: 2, coinSelection: 'branch-and-bound' })
+  t.ok(res.utxo.length === 1 && +res.utxo[0].value.toBaseUnit() === 100000, 'changeless utxo is selected')
+  t.ok(res.vout.length === recipients.length, 'no change output')
+  t.ok(res.totalFee === 300, 'leftover is added to the fee')
+  const eTx = await btcPay.provider._getTransaction(res.txid)
+  t.ok(eTx.vout.length === recipients.length, 'broadcasted tx has one output per recipient')
+  await btcPay.destroy()
+})
+
+test.test('send max amount, empty wallet without change', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await regtest.sendToAddress({ address: addr.address, amount: 0.05 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const res = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 'max', fee: 10 })
+  t.ok(res.vout.length === 1, 'no change output')
+  t.ok(res.utxo.length === 2, 'all utxo spent')
+  t.ok(res.totalSpent === 15000000, 'total spent is whole balance')
+  t.ok(res.recipients[0].amount === 15000000 - res.totalFee, 'fee is subtracted from amount')
+
+  t.comment('bump fee of send max tx')
+  const bumped = await btcPay.bumpFee(res.txid, { feeRate: 20 })
+  t.ok(bumped.utxo.length === 2, 'replacement spends the same utxo')
+  t.ok(bumped.vout.length === 1, 'replacement has no change output')
+  t.ok(bumped.totalSpent === 15000000, 'replacement still spends whole balance')
+  t.ok(bumped.recipients[0].amount === 15000000 - bumped.totalFee, 'higher fee is subtracted from amount')
+  t.ok(bumped.totalFee > res.totalFee, 'replacement pays higher fee')
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const bal = await btcPay.getBalance()
+  t.ok(bal.consolidated.toNumber() === 0, 'wallet is empty')
+  await btcPay.destroy()
+})
+
+test.test('subtract fee from amount', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const res = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 10, subtractFee: true })
+  t.ok(res.requestedAmount === 1000000, 'requested amount is reported')
+  t.ok(res.deliveredAmount === 1000000 - res.totalFee, 'delivered amount is requested amount minus fee')
+  t.ok(res.totalSpent === 1000000, 'total spent is requested amount')
+  const eTx = await btcPay.provider._getTransaction(res.txid)
+  t.ok(new BitcoinCurrency(eTx.vout[0].value, 'main').eq(new BitcoinCurrency(res.deliveredAmount, 'base')), 'recipient receives amount minus fee')
+  await btcPay.destroy()
+})
+
+test.test('send transaction with OP_RETURN data output', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const docHash = 'a'.repeat(64)
+  const res = await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 10, data: docHash, dataEncoding: 'hex' })
+  t.ok(res.data === docHash, 'data is in result')
+  t.ok(res.vout.length === 3, 'payment, data and change outputs')
+  t.ok(res.vout[1].value === 0, 'data output has no value')
+
+  const tx = await btcPay.provider.getTransaction(res.txid, { cache: false })
+  t.ok(tx.data_out.length === 1, 'data output is read back')
+  t.ok(tx.data_out[0].data === docHash, 'data matches')
+  t.ok(tx.data_out[0].index === 1, 'data output index matches')
+
+  try {
+    await btcPay.sendTransaction({}, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 10, data: 'x'.repeat(81) })
+    t.fail('data over 80 bytes should fail')
+  } catch (err) {
+    t.ok(err.message.includes('Data must be between'), 'data over 80 bytes rejected')
+  }
+  await btcPay.destroy()
+})
+
+test.test('create, sign and broadcast transaction as separate PSBT steps', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  const created = await btcPay.createPsbt({ address: nodeAddr, amount: 0.01, unit: 'main', fee: 10 })
+  t.ok(typeof created.psbt === 'string', 'unsigned psbt is base64 string')
+  t.ok(!created.hex, 'unsigned psbt has no raw tx')
+  try {
+    await btcPay.finalizeAndBroadcast(created.psbt)
+    t.fail('unsigned psbt should not be finalized')
+  } catch (err) {
+    t.ok(err.message.includes('Failed to finalize psbt'), 'unsigned psbt can not be finalized')
+  }
+  const signed = btcPay.signPsbt(created.psbt)
+  t.ok(signed !== created.psbt, 'psbt is signed')
+  const res = await btcPay.finalizeAndBroadcast(signed)
+  t.ok(res.totalFee === created.totalFee, 'fee matches created psbt')
+  t.ok(res.recipients[0].address === nodeAddr, 'recipient address matches')
+  t.ok(res.changeAddress.address === created.changeAddress.address, 'change output detected from derivation path')
+  const sent = await btcPay._syncManager.getSentTx(res.txid)
+  t.ok(sent, 'broadcasted psbt is stored as sent tx')
+  try {
+    await btcPay.finalizeAndBroadcast(signed)
+    t.fail('psbt should not be broadcasted twice')
+  } catch (err) {
+    t.ok(err.message.includes('already spent'), 'inputs of broadcasted psbt are spent')
+  }
+  await btcPay.destroy()
+})
+
+test.test('bump fee of unconfirmed transaction with RBF', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const data = {
+    amount: 0.01,
+    unit: 'main',
+    address: nodeAddr,
+    fee: 2
+  }
+  const tx1 = await btcPay.sendTransaction({}, data)
+  const tx2 = await btcPay.bumpFee(tx1.txid, { feeRate: 20 })
+  t.ok(tx2.txid !== tx1.txid, 'replacement has new txid')
+  t.ok(tx2.totalFee > tx1.totalFee, 'replacement pays higher fee')
+  t.ok(tx2.totalSpent - tx2.totalFee === tx1.totalSpent - tx1.totalFee, 'send amount is unchanged')
+  tx1.utxo.forEach((u, i) => {
+    t.ok(tx2.utxo[i].txid === u.txid && tx2.utxo[i].index === u.index, 'replacement spends same input')
+  })
+  const sent = await btcPay._syncManager.getSentTx(tx1.txid)
+  t.ok(sent.replaced_by === tx2.txid, 'original tx is marked as replaced')
+
+  try {
+    await btcPay.bumpFee(tx1.txid, { feeRate: 30 })
+    t.fail('should not bump replaced tx')
+  } catch (err) {
+    t.ok(err.message.includes('already replaced'), 'replaced tx can not be bumped again')
+  }
+
+  t.comment('bump twice before replacement is seen in mempool')
+  const tx3 = await btcPay.sendTransaction({}, data)
+  const bumps = await Promise.allSettled([
+    btcPay.bumpFee(tx3.txid, { feeRate: 20 }),
+    btcPay.bumpFee(tx3.txid, { feeRate: 25 })
+  ])
+  t.ok(bumps[0].status === 'fulfilled', 'first replacement is sent')
+  t.ok(bumps[1].status === 'rejected' && bumps[1].reason.message.includes('already replaced'), 'second replacement of same tx is rejected')
+
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const eTx = await btcPay.provider._getTransaction(tx2.txid)
+  t.ok(eTx.confirmations > 0, 'replacement tx confirmed')
+  await btcPay.destroy()
+})
+
+test.test('cancel unconfirmed transaction with RBF double spend', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const data = {
+    amount: 0.01,
+    unit: 'main',
+    address: nodeAddr,
+    fee: 2
+  }
+  const tx1 = await btcPay.sendTransaction({}, data)
+
+  t.comment('cancel tx rejected by the server is not kept')
+  const broadcast = btcPay.provider.broadcastTransaction
+  btcPay.provider.broadcastTransaction = async () => {
+    throw new Error('RPC Error: {"code":-26,"message":"insufficient fee"} - blockchain.transaction.broadcast')
+  }
+  try {
+    await btcPay.cancelTransaction(tx1.txid)
+    t.fail('cancel should fail')
+  } catch (err) {
+    t.ok(err.message, 'rejected cancel throws')
+  }
+  btcPay.provider.broadcastTransaction = broadcast
+  const list = await btcPay._syncManager.getSentTxList()
+  t.ok(!list.some((sent) => sent.replaces === tx1.txid), 'rejected cancel tx is removed from sent transactions')
+  t.ok(!(await btcPay._syncManager.getSentTx(tx1.txid)).replacing, 'original tx can be replaced again')
+
+  const cancelTx = await btcPay.cancelTransaction(tx1.txid)
+  t.ok(cancelTx.totalFee > tx1.totalFee, 'cancel tx pays higher fee')
+  t.ok(cancelTx.vout.length === 1, 'cancel tx has 1 output')
+  t.ok(cancelTx.sendAddress === cancelTx.changeAddress.address, 'funds sent to internal address')
+  const sent = await btcPay._syncManager.getSentTx(tx1.txid)
+  t.ok(sent.state === 'cancelled', 'original tx is marked as cancelled')
+  t.ok(sent.replaced_by === cancelTx.txid, 'original tx points to cancel tx')
+  const bal = await btcPay.getBalance()
+  t.ok(bal.mempool.toNumber() * -1 === cancelTx.totalFee, 'mempool balance only has cancel fee')
+  await btcPay.destroy()
+})
+
+test.test('sent transaction lifecycle is tracked', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  const states = []
+  btcPay.on('tx-state', (change) => states.push(change))
+  const tx = await btcPay.sendTransaction({}, {
+    amount: 0.01,
+    unit: 'main',
+    address: nodeAddr,
+    fee: 2
+  })
+  let sent = await btcPay.getSentTransaction(tx.txid)
+  t.ok(sent.status === 'in-mempool', 'sent tx is in mempool')
+  t.ok(sent.status_history[0].state === 'created', 'created state is saved')
+  t.ok(states.some((s) => s.txid === tx.txid && s.state === 'in-mempool'), 'tx-state event is emitted')
+
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  await btcPay._syncManager._tracker.check()
+  sent = await btcPay.getSentTransaction(tx.txid)
+  t.ok(sent.status === 'confirmed', 'sent tx is confirmed')
+  t.ok(sent.confirmations >= 1, 'confirmations are saved')
+
+  const tx2 = await btcPay.sendTransaction({}, {
+    amount: 0.01,
+    unit: 'main',
+    address: nodeAddr,
+    fee: 2
+  })
+  const cancelTx = await btcPay.cancelTransaction(tx2.txid)
+  sent = await btcPay.getSentTransaction(tx2.txid)
+  t.ok(sent.status === 'replaced', 'cancelled tx is replaced')
+  t.ok(sent.replaced_by === cancelTx.txid, 'replaced state points to replacement')
+  await btcPay._syncManager._tracker.check()
+  sent = await btcPay.getSentTransaction(tx2.txid)
+  t.ok(sent.status === 'replaced', 'replaced tx is not rebroadcasted')
+
+  t.comment('broadcast fails with network error')
+  const broadcast = btcPay.provider.broadcastTransaction
+  btcPay.provider.broadcastTransaction = async () => { throw new Error('client not connected') }
+  let pending
+  try {
+    await btcPay.sendTransaction({}, { amount: 0.01, unit: 'main', address: nodeAddr, fee: 2 })
+    t.fail('send should reject')
+  } catch (err) {
+    pending = err
+  }
+  btcPay.provider.broadcastTransaction = broadcast
+  t.ok(pending.code === 'ERR_BROADCAST_PENDING', 'error has pending broadcast code')
+  sent = await btcPay.getSentTransaction(pending.txid)
+  t.ok(sent.status === 'broadcast', 'tx is kept as broadcast')
+  await btcPay._syncManager._tracker.check()
+  sent = await btcPay.getSentTransaction(pending.txid)
+  t.ok(sent.rebroadcasts === 1, 'tx is rebroadcasted')
+
+  t.comment('dropped tx gives back inputs and balance')
+  const before = await btcPay.getBalance()
+  const tx3 = await btcPay.sendTransaction({}, { amount: 0.01, unit: 'main', address: nodeAddr, fee: 2 })
+  const getTransaction = btcPay.provider.getTransaction
+  btcPay.provider.getTransaction = async () => { throw new Error('RPC Error: {"code":2,"message":"not found"} - blockchain.transaction.get') }
+  btcPay.provider.broadcastTransaction = async () => {
+    throw new Error('RPC Error: {"code":-26,"message":"mempool min fee not met"} - blockchain.transaction.broadcast')
+  }
+  await btcPay._syncManager._tracker.check()
+  btcPay.provider.getTransaction = getTransaction
+  btcPay.provider.broadcastTransaction = broadcast
+  sent = await btcPay.getSentTransaction(tx3.txid)
+  t.ok(sent.status === 'dropped', 'tx is dropped')
+  const after = await btcPay.getBalance()
+  t.ok(after.mempool.toNumber() === before.mempool.toNumber(), 'mempool balance of dropped tx is removed')
+  for (const u of sent.utxo) {
+    t.ok(await btcPay._syncManager._unspent.vout.get(u.txid + ':' + u.index), 'input is given back')
+  }
+  await btcPay.destroy()
+})
+
+test.test('spending policy rejects payment before broadcast', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  t.comment('sending utxo to wallet')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+
+  btcPay.addPolicyRule('max-amount', (tx) => tx.deliveredAmount > 1000000 && 'too much')
+  const data = {
+    amount: 0.02,
+    unit: 'main',
+    address: nodeAddr,
+    fee: 2
+  }
+  try {
+    await btcPay.sendTransaction({}, data)
+    t.fail('should reject payment above limit')
+  } catch (err) {
+    t.ok(err.message.includes('max-amount'), 'payment is rejected by policy rule')
+  }
+  const unspent = await btcPay.listUnspent()
+  t.ok(unspent.length === 1, 'utxo is released after rejection')
+
+  const tx = await btcPay.sendTransaction({}, { ...data, amount: 0.01 })
+  const sent = await btcPay.getSentTransaction(tx.txid)
+  t.ok(sent.policy_checked, 'payment within limit is sent')
+  await btcPay.destroy()
+})
+
+test.test('sweep external private key into wallet', { timeout: 600000 }, async function (t) {
+  const { ECPairFactory } = require('ecpair')
+  const ECPair = ECPairFactory(require('tiny-secp256k1'))
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+
+  const network = bitcoin.networks.regtest
+  const key = ECPair.makeRandom({ network })
+  const legacy = bitcoin.payments.p2pkh({ pubkey: key.publicKey, network }).address
+  const segwit = bitcoin.payments.p2wpkh({ pubkey: key.publicKey, network })
+  const wrapped = bitcoin.payments.p2sh({ redeem: segwit, network }).address
+  t.comment('fund addresses of external key')
+  await regtest.sendToAddress({ address: legacy, amount: 0.01 })
+  await regtest.sendToAddress({ address: segwit.address, amount: 0.02 })
+  await regtest.sendToAddress({ address: wrapped, amount: 0.03 })
+  await regtest.mine(1)
+
+  const tx = await btcPay.sweepPrivateKey(key.toWIF(), { feeRate: 2 })
+  t.ok(tx.utxo.length === 3, 'spends outputs of p2pkh, p2sh-p2wpkh and p2wpkh addresses')
+  t.ok(tx.totalSpent === 6000000, 'sweeps all funds of key')
+  t.ok(tx.deliveredAmount === 6000000 - tx.totalFee, 'fee is paid from swept amount')
+  const bal = await btcPay.getBalance({})
+  t.ok(+bal.mempool.toBaseUnit() === tx.deliveredAmount, 'wallet receives swept funds')
+
+  try {
+    await btcPay.bumpFee(tx.txid, { feeRate: 5 })
+    t.fail('should reject bump of sweep tx')
+  } catch (err) {
+    t.ok(err.message.includes('Sweep transactions can not be replaced'), 'sweep tx can not be bumped')
+  }
+
+  const getNewAddress = btcPay.getNewAddress
+  let newAddresses = 0
+  btcPay.getNewAddress = function (...args) {
+    newAddresses++
+    return getNewAddress.apply(this, args)
+  }
+  try {
+    await btcPay.sweepPrivateKey(key.toWIF(), { feeRate: 2 })
+    t.fail('should reject key without funds')
+  } catch (err) {
+    t.ok(err.message.includes('No unspent outputs'), 'key without funds is rejected')
+  }
+  t.ok(newAddresses === 0, 'no address is used when key has no funds')
+  await btcPay.destroy()
+})
+
+test.test('pay BIP21 payment uri', { timeout: 600000 }, async function (t) {
+  const btcPay = await activeWallet()
+  const receiver = await activeWallet({ newWallet: true })
+  const req = await receiver.createPaymentUri({ amount: 0.0123, label: 'Shop', message: 'Order 42' })
+  t.ok(req.uri.startsWith('bitcoin:' + req.address + '?amount=0.0123'), 'payment uri has address and amount')
+
+  const received = receiver._onNewTx()
+  const tx = await btcPay.sendTransaction({}, { address: req.uri, fee: 2 })
+  t.ok(tx.recipients[0].address === req.address, 'pays address of uri')
+  t.ok(tx.recipients[0].amount === 1230000, 'pays amount of uri')
+  await received
+
+  try {
+    await btcPay.sendTransaction({}, { address: 'bitcoin:' + req.address + '?amount=0.01&req-refund=1', fee: 2 })
+    t.fail('should reject unknown required parameter')
+  } catch (err) {
+    t.ok(err.message.includes('req-refund'), 'unknown req- parameter is rejected')
+  }
+
+  try {
+    await btcPay.sendTransaction({}, { address: req.uri, amount: 0.02, unit: 'main', fee: 2 })
+    t.fail('should reject amount that does not match uri')
+  } catch (err) {
+    t.ok(err.message.includes('does not match payment uri amount'), 'amount different from uri amount is rejected')
+  }
+  await receiver.destroy()
+  await btcPay.destroy()
+})
+
+test.test('accelerate incoming transaction with CPFP', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  t.comment('sending low fee utxo to wallet')
+  const { result: parentTxid } = await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  const feeRate = 50
+  const child = await btcPay.accelerate(parentTxid, { feeRate })
+  t.ok(child.parent === parentTxid, 'child references parent tx')
+  t.ok(child.utxo.every((u) => u.txid === parentTxid), 'child spends parent outputs')
+  t.ok(child.packageFeeRate >= feeRate, 'package fee rate is at least target fee rate')
+  const parent = await btcPay.provider.getTransaction(parentTxid, { cache: false })
+  const pkgRate = (+parent.fee.toBaseUnit() + child.totalFee) / (parent.vsize + child.vSize)
+  t.ok(pkgRate >= feeRate, 'effective fee rate from electrum data matches')
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  await btcPay.destroy()
+})
+
 //
 //
 // Uncomment the transaction below to keep doing TX
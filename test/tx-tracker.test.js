@@ -0,0 +1,93 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const TxTracker = require('../src/tx-tracker.js')
+
+function sentStore () {
+  const sent = new Map()
+  return {
+    getSentTx: async (txid) => sent.has(txid) ? JSON.parse(JSON.stringify(sent.get(txid))) : null,
+    addSentTx: async (tx) => sent.set(tx.txid, JSON.parse(JSON.stringify(tx))),
+    getSentTxList: async () => [...sent.values()]
+  }
+}
+
+function provider (broadcast) {
+  const calls = []
+  return {
+    calls,
+    getTransaction: async () => {
+      throw new Error('RPC Error: {"code":2,"message":"No such mempool or blockchain transaction"} - blockchain.transaction.get')
+    },
+    broadcastTransaction: async (hex) => {
+      calls.push(hex)
+      return broadcast()
+    }
+  }
+}
+
+async function newTracker (broadcast, opts = {}) {
+  const addressManager = sentStore()
+  const tracker = new TxTracker({ addressManager, provider: provider(broadcast), getBlockHeight: () => 100, checkInterval: 0, ...opts })
+  await addressManager.addSentTx({ txid: 'aa', hex: '0100', status: TxTracker.STATES.CREATED, status_history: [] })
+  await tracker.onBroadcast('aa')
+  return { tracker, addressManager }
+}
+
+test('TxTracker: tx unknown to server is rebroadcasted', async (t) => {
+  const { tracker, addressManager } = await newTracker(async () => 'aa')
+  const states = []
+  tracker.on('tx-state', (change) => states.push(change))
+
+  await tracker.check()
+  let sent = await addressManager.getSentTx('aa')
+  t.is(tracker.provider.calls.length, 1, 'tx is rebroadcasted')
+  t.is(sent.status, TxTracker.STATES.BROADCAST, 'tx stays broadcast')
+  t.is(sent.rebroadcasts, 1, 'rebroadcast count is saved')
+  t.is(states[0].rebroadcasts, 1, 'tx-state event is emitted for rebroadcast')
+
+  await tracker.check()
+  sent = await addressManager.getSentTx('aa')
+  t.is(sent.rebroadcasts, 2, 'rebroadcast count is increased')
+  t.is(states.length, 2, 'tx-state event is emitted for every rebroadcast')
+})
+
+test('TxTracker: tx rejected on rebroadcast is dropped', async (t) => {
+  const { tracker, addressManager } = await newTracker(async () => {
+    throw new Error('RPC Error: {"code":-25,"message":"bad-txns-inputs-missingorspent"} - blockchain.transaction.broadcast')
+  })
+
+  await tracker.check()
+  const sent = await addressManager.getSentTx('aa')
+  t.is(sent.status, TxTracker.STATES.DROPPED, 'tx is dropped')
+  t.is(sent.rebroadcasts, 1, 'rebroadcast count is saved')
+  t.ok(sent.error.includes('bad-txns-inputs-missingorspent'), 'rebroadcast error is saved')
+
+  await tracker.check()
+  t.is(tracker.provider.calls.length, 1, 'dropped tx is not tracked')
+})
+
+test('TxTracker: dropped tx is passed to onDropped before tx-state event', async (t) => {
+  const calls = []
+  const { tracker } = await newTracker(async () => {
+    throw new Error('RPC Error: {"code":-26,"message":"mempool min fee not met"} - blockchain.transaction.broadcast')
+  }, { onDropped: async (sent) => calls.push(['dropped', sent.txid, sent.error]) })
+  tracker.on('tx-state', ({ state }) => calls.push(['state', state]))
+
+  await tracker.check()
+  t.is(calls.length, 2, 'onDropped and tx-state are called')
+  t.is(calls[0][1], 'aa', 'onDropped gets the dropped tx')
+  t.ok(calls[0][2].includes('mempool min fee not met'), 'onDropped gets the rebroadcast error')
+  t.alike(calls[1], ['state', TxTracker.STATES.DROPPED], 'tx-state is emitted after onDropped')
+})
@@ -0,0 +1,75 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const UnspentStore = require('../src/unspent-store.js')
+const Btc = require('../src/currency.js')
+
+async function newUnspent (blockHeight) {
+  const store = new WalletStoreHyperbee()
+  await store.init()
+  const unspent = new UnspentStore({ store, getBlockHeight: () => blockHeight.current })
+  await unspent.init()
+  return unspent
+}
+
+function vout (index, sats, height, coinbase) {
+  return { txid: 'a'.repeat(64), index, address: 'addr' + index, value: new Btc(sats, 'base'), tx_height: height, coinbase }
+}
+
+test('UnspentStore: coinbase maturity', async (t) => {
+  const blockHeight = { current: 150 }
+  const unspent = await newUnspent(blockHeight)
+  await unspent.add(vout(0, 5000000000, 100, true), 'out')
+  await unspent.add(vout(1, 100000, 100), 'out')
+
+  t.ok((await unspent.getImmatureBalance()).toBaseUnit() === '5000000000', 'coinbase output is immature')
+  const list = await unspent.listUnspent()
+  t.ok(list.find((u) => u.index === 0).immature, 'listed as immature')
+
+  const { utxo } = await unspent.getAllUtxo()
+  t.ok(utxo.length === 1 && utxo[0].index === 1, 'immature output is not selected')
+  await unspent.unlock(false)
+  await t.exception(() => unspent.getUtxoForPoints([`${'a'.repeat(64)}:0`]), /not mature/, 'immature output can not be chosen')
+
+  blockHeight.current = 199
+  t.ok((await unspent.getImmatureBalance()).toBaseUnit() === '0', 'coinbase output matures after 100 confirmations')
+  const mature = await unspent.getAllUtxo()
+  t.ok(mature.utxo.length === 2, 'mature output is selected')
+  await unspent.unlock(false)
+
+  blockHeight.current = 150
+  await unspent.add({ prev_txid: 'a'.repeat(64), prev_index: 0, value: new Btc(5000000000, 'base') }, 'in')
+  t.ok((await unspent.getImmatureBalance()).toBaseUnit() === '0', 'spent coinbase output is not immature')
+  await unspent.close()
+})
+
+test('UnspentStore: unconfirmed spend policy', async (t) => {
+  const unspent = await newUnspent({ current: 150 })
+  const change = { ...vout(0, 100000, 0), address_path: "m/84'/1'/0'/1/0" }
+  const deposit = { ...vout(1, 100000, 0), address_path: "m/84'/1'/0'/0/0" }
+  await unspent.add(change, 'out')
+  await unspent.add(deposit, 'out')
+  await unspent.add(vout(2, 100000, 120), 'out')
+
+  const select = async (spendUnconfirmed) => {
+    const { utxo } = await unspent.getAllUtxo({ spendUnconfirmed })
+    await unspent.unlock(false)
+    return utxo.map((u) => u.index).sort()
+  }
+  t.alike(await select('none'), [2], 'none spends confirmed outputs only')
+  t.alike(await select('own-change'), [0, 2], 'own-change spends unconfirmed change')
+  t.alike(await select('any'), [0, 1, 2], 'any spends all unconfirmed outputs')
+  await unspent.close()
+})
@@ -495,3 +495,25 @@ test('bip84 test vectors', async function (t) {
   await btcPay.destroy()
   await bp.destroy()
 })
+
+test('isValidAddress validates address offline for wallet network', async function (t) {
+  const btcPay = await activeWallet()
+  const addr = await btcPay.getNewAddress()
+  t.ok(btcPay.isValidAddress({}, addr.address), 'wallet address is valid')
+  t.ok(btcPay.isValidAddress(addr.address), 'address can be the only argument')
+  t.ok(!btcPay.isValidAddress({}, 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq'), 'mainnet address is not valid on regtest')
+  t.ok(btcPay.validateAddress(addr.address).type === 'p2wpkh', 'detects address type')
+
+  try {
+    await btcPay.sendTransaction({}, {
+      address: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq',
+      amount: 10000,
+      unit: 'base',
+      fee: 2
+    })
+    t.fail('should reject wrong network destination')
+  } catch (err) {
+    t.ok(err.message.includes('not for this network'), 'send to wrong network is rejected')
+  }
+  await btcPay.destroy()
+})